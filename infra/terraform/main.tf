@@ -544,6 +544,29 @@ resource "aws_dynamodb_table" "carts" {
     type = "S"
   }
 
+  # Idle carts are removed once their expiresAt (epoch seconds) passes
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = "shopmate"
+  }
+}
+
+# Wishlists and saved-for-later items, one record per shopper
+resource "aws_dynamodb_table" "wishlists" {
+  name           = "shopmate-eks-wishlists-${var.environment}"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "userId"
+
+  attribute {
+    name = "userId"
+    type = "S"
+  }
+
   tags = {
     Environment = var.environment
     Project     = "shopmate"
@@ -566,6 +589,186 @@ resource "aws_dynamodb_table" "orders" {
   }
 }
 
+resource "aws_dynamodb_table" "reviews" {
+  name           = "shopmate-eks-reviews-${var.environment}"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "productId"
+  range_key      = "userId"
+
+  attribute {
+    name = "productId"
+    type = "N"
+  }
+
+  attribute {
+    name = "userId"
+    type = "S"
+  }
+
+  attribute {
+    name = "createdAt"
+    type = "S"
+  }
+
+  attribute {
+    name = "rating"
+    type = "N"
+  }
+
+  local_secondary_index {
+    name            = "createdAt-index"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+  }
+
+  local_secondary_index {
+    name            = "rating-index"
+    range_key       = "rating"
+    projection_type = "ALL"
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = "shopmate"
+  }
+}
+
+# Append-only stock movement ledger, one sequence per product
+resource "aws_dynamodb_table" "stock_ledger" {
+  name           = "shopmate-eks-stock-ledger-${var.environment}"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "productId"
+  range_key      = "seq"
+
+  attribute {
+    name = "productId"
+    type = "N"
+  }
+
+  attribute {
+    name = "seq"
+    type = "N"
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = "shopmate"
+  }
+}
+
+# Append-only log of price changes and promotions, newest last per product
+resource "aws_dynamodb_table" "price_history" {
+  name           = "shopmate-eks-price-history-${var.environment}"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "productId"
+  range_key      = "changeId"
+
+  attribute {
+    name = "productId"
+    type = "N"
+  }
+
+  attribute {
+    name = "changeId"
+    type = "S"
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = "shopmate"
+  }
+}
+
+# Back-in-stock signups, removed when sent or by TTL
+resource "aws_dynamodb_table" "stock_subscriptions" {
+  name           = "shopmate-eks-stock-subscriptions-${var.environment}"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "sku"
+  range_key      = "email"
+
+  attribute {
+    name = "sku"
+    type = "S"
+  }
+
+  attribute {
+    name = "email"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = "shopmate"
+  }
+}
+
+# Coupon codes and their redemption counts
+resource "aws_dynamodb_table" "coupons" {
+  name           = "shopmate-eks-coupons-${var.environment}"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "code"
+
+  attribute {
+    name = "code"
+    type = "S"
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = "shopmate"
+  }
+}
+
+# Redemptions per coupon code and shopper, for per-user limits
+resource "aws_dynamodb_table" "coupon_redemptions" {
+  name           = "shopmate-eks-coupon-redemptions-${var.environment}"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "code"
+  range_key      = "userId"
+
+  attribute {
+    name = "code"
+    type = "S"
+  }
+
+  attribute {
+    name = "userId"
+    type = "S"
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = "shopmate"
+  }
+}
+
+# Idempotency-Key records for order placement and add-to-cart, removed by TTL
+resource "aws_dynamodb_table" "idempotency_keys" {
+  name           = "shopmate-eks-idempotency-keys-${var.environment}"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "id"
+
+  attribute {
+    name = "id"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = "shopmate"
+  }
+}
+
 resource "aws_dynamodb_table" "sessions" {
   name           = "shopmate-eks-sessions-${var.environment}"
   billing_mode   = "PAY_PER_REQUEST"
@@ -625,6 +828,46 @@ resource "aws_iam_policy" "secrets_manager_access" {
   })
 }
 
+# Uploaded product images. The bucket stays private; product-service serves
+# the files itself.
+resource "aws_s3_bucket" "product_images" {
+  bucket        = "shopmate-eks-product-images-${var.environment}"
+  force_destroy = true
+
+  tags = {
+    Environment = var.environment
+    Project     = "shopmate"
+  }
+}
+
+resource "aws_s3_bucket_public_access_block" "product_images" {
+  bucket = aws_s3_bucket.product_images.id
+
+  block_public_acls       = true
+  block_public_policy     = true
+  ignore_public_acls      = true
+  restrict_public_buckets = true
+}
+
+resource "aws_iam_policy" "product_images_access" {
+  name = "shopmate-eks-product-images-access"
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:GetObject",
+          "s3:PutObject",
+          "s3:DeleteObject"
+        ]
+        Resource = "${aws_s3_bucket.product_images.arn}/*"
+      }
+    ]
+  })
+}
+
 # AWS Secrets Manager Secret for Session Secret
 resource "aws_secretsmanager_secret" "session_secret" {
   name = "shopmate-eks-session-secret-${var.environment}"
@@ -643,10 +886,24 @@ resource "aws_secretsmanager_secret" "session_secret" {
 resource "aws_secretsmanager_secret_version" "session_secret" {
   secret_id = aws_secretsmanager_secret.session_secret.id
   secret_string = jsonencode({
-    session-secret = "shopmate-${var.environment}-secret-2025-${random_string.session_suffix.result}"
+    session-secret    = "shopmate-${var.environment}-secret-2025-${random_string.session_suffix.result}"
+    admin-api-token   = random_password.admin_api_token.result
+    service-api-token = random_password.service_api_token.result
   })
 }
 
+# Token for the product-service catalog admin API
+resource "random_password" "admin_api_token" {
+  length  = 32
+  special = false
+}
+
+# Token the services use on product-service's stock routes
+resource "random_password" "service_api_token" {
+  length  = 32
+  special = false
+}
+
 # Random suffix for session secret
 resource "random_string" "session_suffix" {
   length  = 8
@@ -662,7 +919,8 @@ module "shopmate_service_account_irsa" {
   role_name = "shopmate-eks-service-account"
 
   role_policy_arns = {
-    dynamodb = aws_iam_policy.dynamodb_access.arn
+    dynamodb       = aws_iam_policy.dynamodb_access.arn
+    product_images = aws_iam_policy.product_images_access.arn
   }
 
   oidc_providers = {
@@ -675,8 +933,16 @@ module "shopmate_service_account_irsa" {
   depends_on = [
     aws_dynamodb_table.products,
     aws_dynamodb_table.carts,
+    aws_dynamodb_table.wishlists,
     aws_dynamodb_table.orders,
     aws_dynamodb_table.sessions,
+    aws_dynamodb_table.reviews,
+    aws_dynamodb_table.stock_ledger,
+    aws_dynamodb_table.price_history,
+    aws_dynamodb_table.stock_subscriptions,
+    aws_dynamodb_table.coupons,
+    aws_dynamodb_table.coupon_redemptions,
+    aws_dynamodb_table.idempotency_keys,
     aws_iam_policy.dynamodb_access
   ]
 }
@@ -693,6 +959,8 @@ resource "aws_iam_policy" "dynamodb_access" {
         Action = [
           "dynamodb:GetItem",
           "dynamodb:PutItem",
+          "dynamodb:BatchGetItem",
+          "dynamodb:BatchWriteItem",
           "dynamodb:UpdateItem",
           "dynamodb:DeleteItem",
           "dynamodb:Scan",
@@ -702,8 +970,29 @@ resource "aws_iam_policy" "dynamodb_access" {
         Resource = [
           aws_dynamodb_table.products.arn,
           aws_dynamodb_table.carts.arn,
+          aws_dynamodb_table.wishlists.arn,
           aws_dynamodb_table.orders.arn,
-          aws_dynamodb_table.sessions.arn
+          aws_dynamodb_table.sessions.arn,
+          aws_dynamodb_table.reviews.arn,
+          "${aws_dynamodb_table.reviews.arn}/index/*",
+          aws_dynamodb_table.stock_subscriptions.arn,
+          aws_dynamodb_table.coupons.arn,
+          aws_dynamodb_table.coupon_redemptions.arn,
+          aws_dynamodb_table.idempotency_keys.arn
+        ]
+      },
+      {
+        # Ledger and price history entries are immutable, so no update or delete
+        Effect = "Allow"
+        Action = [
+          "dynamodb:GetItem",
+          "dynamodb:PutItem",
+          "dynamodb:Query",
+          "dynamodb:DescribeTable"
+        ]
+        Resource = [
+          aws_dynamodb_table.stock_ledger.arn,
+          aws_dynamodb_table.price_history.arn
         ]
       }
     ]
@@ -62,4 +62,10 @@ output "karpenter_node_role_arn" {
 output "ecr_repository_url" {
   description = "ECR repository URL for all services"
   value       = aws_ecr_repository.shopmate.repository_url
+}
+
+# Product image storage
+output "product_images_bucket" {
+  description = "S3 bucket for uploaded product images"
+  value       = aws_s3_bucket.product_images.bucket
 }
\ No newline at end of file
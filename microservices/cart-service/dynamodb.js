@@ -5,6 +5,7 @@ const {
   GetCommand, 
   PutCommand, 
   BatchWriteCommand,
+  BatchGetCommand,
   QueryCommand,
   DeleteCommand
 } = require('@aws-sdk/lib-dynamodb');
@@ -68,23 +69,73 @@ const deleteItem = async (tableName, key) => {
   return dynamoDB.send(command);
 };
 
+const BATCH_WRITE_LIMIT = 25;
+const BATCH_GET_LIMIT = 100;
+const MAX_BATCH_RETRIES = 5;
+
+// Write items in chunks of 25 (the BatchWriteItem limit), retrying any
+// UnprocessedItems with exponential backoff. Resolves to the number written.
 const batchWrite = async (tableName, items) => {
-  // Limit batch size to prevent resource exhaustion
-  if (items.length > 25) {
-    throw new Error('Batch write limited to 25 items maximum');
+  let written = 0;
+
+  for (let i = 0; i < items.length; i += BATCH_WRITE_LIMIT) {
+    let requests = items.slice(i, i + BATCH_WRITE_LIMIT).map(item => ({
+      PutRequest: { Item: item }
+    }));
+
+    for (let attempt = 0; requests.length > 0; attempt++) {
+      if (attempt > MAX_BATCH_RETRIES) {
+        throw new Error(`Batch write left ${requests.length} unprocessed items after ${MAX_BATCH_RETRIES} retries`);
+      }
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+      }
+
+      const command = new BatchWriteCommand({
+        RequestItems: {
+          [tableName]: requests
+        }
+      });
+      const response = await dynamoDB.send(command);
+      const unprocessed = (response.UnprocessedItems && response.UnprocessedItems[tableName]) || [];
+      written += requests.length - unprocessed.length;
+      requests = unprocessed;
+    }
   }
-  
-  const putRequests = items.map(item => ({
-    PutRequest: { Item: item }
-  }));
-  
-  const command = new BatchWriteCommand({
-    RequestItems: {
-      [tableName]: putRequests
+
+  return written;
+};
+
+// Read items by key in chunks of 100 (the BatchGetItem limit), retrying any
+// UnprocessedKeys with exponential backoff. Items come back in no particular
+// order and keys with no item are left out.
+const batchGet = async (tableName, keys) => {
+  const items = [];
+
+  for (let i = 0; i < keys.length; i += BATCH_GET_LIMIT) {
+    let requestKeys = keys.slice(i, i + BATCH_GET_LIMIT);
+
+    for (let attempt = 0; requestKeys.length > 0; attempt++) {
+      if (attempt > MAX_BATCH_RETRIES) {
+        throw new Error(`Batch get left ${requestKeys.length} unprocessed keys after ${MAX_BATCH_RETRIES} retries`);
+      }
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+      }
+
+      const command = new BatchGetCommand({
+        RequestItems: {
+          [tableName]: { Keys: requestKeys }
+        }
+      });
+      const response = await dynamoDB.send(command);
+      items.push(...((response.Responses && response.Responses[tableName]) || []));
+      const unprocessed = response.UnprocessedKeys && response.UnprocessedKeys[tableName];
+      requestKeys = unprocessed ? unprocessed.Keys : [];
     }
-  });
-  
-  return dynamoDB.send(command);
+  }
+
+  return items;
 };
 
 module.exports = {
@@ -97,5 +148,6 @@ module.exports = {
   get,
   put,
   deleteItem,
-  batchWrite
+  batchWrite,
+  batchGet
 };
\ No newline at end of file
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const axios = require('axios');
+
+// Cart events (cart.abandoned, cart.recovered) go through a publisher chosen
+// with CART_EVENTS_PUBLISHER. Each publisher exposes publish(event), which
+// resolves once the event has been delivered.
+
+// Writes each event to stdout and, if CART_EVENTS_FILE is set, appends it to
+// that file as a JSON line
+const createLogPublisher = (filePath) => ({
+  name: 'log',
+  publish: async (event) => {
+    const line = JSON.stringify(event);
+    console.log(`[EVENT] ${new Date().toISOString()} - ${line}`);
+    if (filePath) {
+      await fs.promises.appendFile(filePath, `${line}\n`);
+    }
+  }
+});
+
+// POSTs each event as JSON to CART_EVENTS_WEBHOOK_URL (e.g. the marketing
+// platform's reminder email hook)
+const createWebhookPublisher = (url, timeoutMs) => ({
+  name: 'webhook',
+  publish: async (event) => {
+    await axios.post(url, event, { timeout: timeoutMs });
+  }
+});
+
+const createPublisher = (env = process.env) => {
+  const type = env.CART_EVENTS_PUBLISHER || 'log';
+  if (type === 'webhook') {
+    if (!env.CART_EVENTS_WEBHOOK_URL) {
+      throw new Error('CART_EVENTS_WEBHOOK_URL is required when CART_EVENTS_PUBLISHER=webhook');
+    }
+    return createWebhookPublisher(env.CART_EVENTS_WEBHOOK_URL, parseInt(env.CART_EVENTS_TIMEOUT_MS) || 5000);
+  }
+  if (type === 'log') {
+    return createLogPublisher(env.CART_EVENTS_FILE);
+  }
+  throw new Error(`Unknown CART_EVENTS_PUBLISHER "${type}", expected log or webhook`);
+};
+
+module.exports = {
+  createPublisher,
+  createLogPublisher,
+  createWebhookPublisher
+};
\ No newline at end of file
@@ -3,7 +3,10 @@ const express = require('express');
 const axios = require('axios');
 const promClient = require('prom-client');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, ScanCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const summary = require('./summary');
+const { createPublisher } = require('./events');
+const { idempotent } = require('./idempotency');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -21,6 +24,37 @@ const cartItemsAdded = new promClient.Counter({
   help: 'Total items added to cart'
 });
 
+const cartsMerged = new promClient.Counter({
+  name: 'cart_service_carts_merged_total',
+  help: 'Total anonymous carts merged into a signed-in shopper\'s cart'
+});
+
+const wishlistMoves = new promClient.Counter({
+  name: 'cart_service_wishlist_moves_total',
+  help: 'Total items moved between wishlists and carts',
+  labelNames: ['direction']
+});
+
+const reservationsExpired = new promClient.Counter({
+  name: 'cart_service_reservations_expired_total',
+  help: 'Total cart lines released after their stock reservation expired'
+});
+
+const cartsAbandoned = new promClient.Counter({
+  name: 'cart_service_carts_abandoned_total',
+  help: 'Total carts left idle with items past the abandonment window'
+});
+
+const cartsRecovered = new promClient.Counter({
+  name: 'cart_service_carts_recovered_total',
+  help: 'Total abandoned carts later checked out'
+});
+
+const idempotentReplays = new promClient.Counter({
+  name: 'cart_service_idempotent_replays_total',
+  help: 'Total add-to-cart requests answered from a stored Idempotency-Key response'
+});
+
 app.use(express.json());
 
 // Logging helper
@@ -43,13 +77,109 @@ app.use((req, res, next) => {
   next();
 });
 
+// Service authentication for the cart merge, which moves one shopper's cart
+// into another's. It is reachable through the public ingress, so it needs a
+// token only the services signing shoppers in hold.
+const SERVICE_API_TOKEN = process.env.SERVICE_API_TOKEN;
+
+const requireService = (req, res, next) => {
+  if (!SERVICE_API_TOKEN) {
+    log.warn(`${req.method} ${req.path} - Rejected, SERVICE_API_TOKEN is not configured`);
+    return res.status(503).json({ error: 'Service API is not configured' });
+  }
+  if (req.get('X-Service-Token') !== SERVICE_API_TOKEN) {
+    return res.status(401).json({ error: 'Invalid service token' });
+  }
+  next();
+};
+
 // DynamoDB setup
 const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
 const docClient = DynamoDBDocumentClient.from(client);
 const CARTS_TABLE = process.env.CARTS_TABLE || 'shopmate-eks-carts-dev';
+const WISHLISTS_TABLE = process.env.WISHLISTS_TABLE || 'shopmate-eks-wishlists-dev';
 
 const BASE_URL = process.env.BASE_URL || 'https://shopmate-eks.dev.sctp-sandbox.com';
 const PRODUCT_SERVICE_URL = process.env.PRODUCT_SERVICE_URL || BASE_URL;
+// Sent on product-service's stock routes, which only accept calls from
+// services holding SERVICE_API_TOKEN
+const SERVICE_AUTH = { headers: { 'X-Service-Token': SERVICE_API_TOKEN || '' } };
+
+// Stock reservation settings
+const RESERVATION_MINUTES = parseInt(process.env.CART_RESERVATION_MINUTES) || 30;
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.CART_SWEEP_INTERVAL_SECONDS) || 60;
+// Idle carts are removed by the table's DynamoDB TTL on expiresAt
+const CART_TTL_DAYS = parseInt(process.env.CART_TTL_DAYS) || 7;
+
+// Tax and shipping rules, and the destination quoted when none is given
+const checkoutRules = summary.loadCheckoutRules();
+const DEFAULT_COUNTRY = process.env.DEFAULT_SHIPPING_COUNTRY || 'SG';
+
+// Abandoned cart detection, and where its events go
+// (CART_EVENTS_PUBLISHER=log|webhook)
+const ABANDONED_CART_MINUTES = parseInt(process.env.ABANDONED_CART_MINUTES) || 20;
+const ABANDONED_CART_CHECK_SECONDS = parseInt(process.env.ABANDONED_CART_CHECK_SECONDS) || 300;
+const eventPublisher = createPublisher();
+
+// Return reserved stock to product-service; failures are logged, not thrown.
+// The reason and the cart's user id are recorded in the stock ledger.
+const releaseStock = async (productId, sku, quantity, reason, userId) => {
+  try {
+    await axios.post(`${PRODUCT_SERVICE_URL}/api/products/${productId}/release`, {
+      sku,
+      quantity,
+      reason,
+      source: 'cart-service',
+      reference: userId
+    }, SERVICE_AUTH);
+  } catch (error) {
+    log.error(`Failed to release ${quantity} of product ${productId} (${sku}): ${error.message}`);
+  }
+};
+
+const getReservationExpiry = () => new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000).toISOString();
+
+// Build the stored cart record. nextExpiry is the earliest line expiry so the
+// sweeper can find carts with expired reservations without reading every line.
+// Writes that keep the cart pass the stored record (or its fields) so the
+// applied coupon code and the abandonment mark carry over.
+const buildCartRecord = (userId, items, { coupon, abandonedAt } = {}) => {
+  const now = new Date();
+  const record = {
+    userId,
+    items,
+    updatedAt: now.toISOString(),
+    expiresAt: Math.floor(now.getTime() / 1000) + CART_TTL_DAYS * 24 * 60 * 60
+  };
+  const expiries = items.map(item => item.reservedUntil).filter(Boolean).sort();
+  if (expiries.length > 0) {
+    record.nextExpiry = expiries[0];
+  }
+  if (coupon) {
+    record.coupon = coupon;
+  }
+  if (abandonedAt) {
+    record.abandonedAt = abandonedAt;
+  }
+  return record;
+};
+
+// Condition that a cart record is still as it was read. The sweeper keeps
+// updatedAt when it prunes expired lines, so nextExpiry is checked as well.
+const cartUnchangedCondition = (cart, prefix) => {
+  if (!cart) {
+    return { ConditionExpression: 'attribute_not_exists(userId)' };
+  }
+  const values = { [`:${prefix}UpdatedAt`]: cart.updatedAt };
+  let expression = `updatedAt = :${prefix}UpdatedAt`;
+  if (cart.nextExpiry) {
+    expression += ` AND nextExpiry = :${prefix}NextExpiry`;
+    values[`:${prefix}NextExpiry`] = cart.nextExpiry;
+  } else {
+    expression += ' AND attribute_not_exists(nextExpiry)';
+  }
+  return { ConditionExpression: expression, ExpressionAttributeValues: values };
+};
 
 // Get cart
 app.get('/api/cart/:userId', async (req, res) => {
@@ -68,20 +198,72 @@ app.get('/api/cart/:userId', async (req, res) => {
   }
 });
 
-// Add to cart
-app.post('/api/cart/:userId/add', async (req, res) => {
+// Reserve stock for a cart line before the cart is written. Products without
+// variants are sold under their base SKU, so sku may be left out for them.
+// Resolves to { sku } or, when product-service turns the reservation down,
+// { status, body } to pass on to the caller.
+const reserveCartLine = async (productId, sku, quantity, reason, userId) => {
   try {
-    const { productId, quantity } = req.body;
-    const userId = req.params.userId;
-    
-    // Get product details from product service
-    const productResponse = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${productId}`);
-    const product = productResponse.data;
-    
-    if (product.stock < quantity) {
-      return res.status(400).json({ error: 'Insufficient stock' });
+    if (!sku) {
+      const productResponse = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${productId}`);
+      if (productResponse.data.variants) {
+        return { status: 400, body: { error: 'sku is required for products with variants' } };
+      }
+      sku = productResponse.data.sku;
     }
-    
+    await axios.post(`${PRODUCT_SERVICE_URL}/api/products/${productId}/reserve`, {
+      sku,
+      quantity,
+      reason,
+      source: 'cart-service',
+      reference: userId
+    }, SERVICE_AUTH);
+    return { sku };
+  } catch (error) {
+    if (error.response && [400, 404, 409].includes(error.response.status)) {
+      return { status: error.response.status, body: error.response.data };
+    }
+    throw error;
+  }
+};
+
+// Add a reserved quantity of a SKU to cart lines. Adding more of a product
+// renews the hold on the whole line and bumps its version.
+const addCartLine = (cartItems, { sku, productId, quantity }, reservedUntil) => {
+  const existing = cartItems.find(item => item.sku === sku);
+  if (existing) {
+    existing.quantity += quantity;
+    existing.reservedUntil = reservedUntil;
+    existing.version = (existing.version || 0) + 1;
+  } else {
+    cartItems.push({ sku, productId, quantity, reservedUntil, version: 1 });
+  }
+};
+
+// Add to cart. Lines are keyed by SKU so each variant is its own line. With
+// an Idempotency-Key header a repeated request adds the items only once.
+app.post('/api/cart/:userId/add', idempotent('cart-add', { log, onReplay: () => idempotentReplays.inc() }), async (req, res) => {
+  const { productId, quantity } = req.body;
+  const userId = req.params.userId;
+
+  if (!Number.isInteger(productId) || !Number.isInteger(quantity) || quantity < 1) {
+    return res.status(400).json({ error: 'productId and a positive integer quantity are required' });
+  }
+
+  // Reserve stock atomically before touching the cart
+  let reservation;
+  try {
+    reservation = await reserveCartLine(productId, req.body.sku, quantity, 'cart_add', userId);
+  } catch (error) {
+    log.error(`Error reserving stock: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to add to cart' });
+  }
+  if (reservation.body) {
+    return res.status(reservation.status).json(reservation.body);
+  }
+  const { sku } = reservation;
+
+  try {
     // Get current cart
     const cartResult = await docClient.send(new GetCommand({
       TableName: CARTS_TABLE,
@@ -92,76 +274,955 @@ app.post('/api/cart/:userId/add', async (req, res) => {
     let cartItems = cartResult.Item ? cartResult.Item.items || [] : [];
     
     // Update cart
-    const existingItemIndex = cartItems.findIndex(item => item.productId === productId);
-    if (existingItemIndex >= 0) {
-      cartItems[existingItemIndex].quantity += quantity;
-    } else {
-      cartItems.push({ productId, quantity });
-    }
+    addCartLine(cartItems, { sku, productId, quantity }, getReservationExpiry());
     
-    // Save cart
+    // Save cart, unless another request changed it since it was read
     await docClient.send(new PutCommand({
       TableName: CARTS_TABLE,
-      Item: {
-        userId,
-        items: cartItems,
-        updatedAt: new Date().toISOString()
-      }
+      Item: buildCartRecord(userId, cartItems, cartResult.Item),
+      ...cartUnchangedCondition(cartResult.Item, 'cart')
     }));
     
-    // Update product stock
-    await axios.put(`${PRODUCT_SERVICE_URL}/api/products/${productId}/stock`, {
-      stock: product.stock - quantity
-    });
-    
     cartItemsAdded.inc();
     res.json({ success: true, cart: cartItems });
   } catch (error) {
+    // The cart was not saved, so hand the reserved stock back
+    await releaseStock(productId, sku, quantity, 'cart_rollback', userId);
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Cart changed concurrently, please retry' });
+    }
     log.error(`Error adding to cart: ${error.message}`);
     res.status(500).json({ error: 'Failed to add to cart' });
   }
 });
 
-// Update cart
-app.put('/api/cart/:userId', async (req, res) => {
+// Cart lines
+// Each line has a version that goes up with every change to it. A line
+// change is written to that list element alone, on condition that it still
+// holds the same SKU at the version that was read. Two tabs changing the
+// same line get a 409 instead of overwriting each other, while changes to
+// different lines both go through.
+
+// Find a product's line in the cart. sku picks one of the product's lines
+// and may be left out when it has only one. Returns { index, line } or
+// { status, body }.
+const findCartLine = (cartItems, productId, sku) => {
+  const matches = cartItems
+    .map((line, index) => ({ index, line }))
+    .filter(({ line }) => line.productId === productId && (!sku || line.sku === sku));
+  if (matches.length === 0) {
+    return { status: 404, body: { error: 'Item not found in cart' } };
+  }
+  if (matches.length > 1) {
+    return { status: 400, body: { error: 'sku is required when the cart has several lines of a product' } };
+  }
+  return matches[0];
+};
+
+// Write a new value for the line at index, or remove it when line is null.
+// The record's other attributes are recomputed from the lines as read; a
+// concurrent change to another line can only leave nextExpiry earlier than
+// needed, which the sweeper corrects.
+const writeCartLine = async (userId, cartItems, index, line) => {
+  const current = cartItems[index];
+  const remaining = line
+    ? cartItems.map((item, i) => (i === index ? line : item))
+    : cartItems.filter((item, i) => i !== index);
+  const record = buildCartRecord(userId, remaining);
+
+  const sets = ['updatedAt = :updatedAt', 'expiresAt = :expiresAt'];
+  const removes = [];
+  const values = { ':sku': current.sku, ':updatedAt': record.updatedAt, ':expiresAt': record.expiresAt };
+  if (line) {
+    sets.push(`#items[${index}] = :line`);
+    values[':line'] = line;
+  } else {
+    removes.push(`#items[${index}]`);
+  }
+  if (record.nextExpiry) {
+    sets.push('nextExpiry = :nextExpiry');
+    values[':nextExpiry'] = record.nextExpiry;
+  } else {
+    removes.push('nextExpiry');
+  }
+  let condition = `#items[${index}].sku = :sku`;
+  if (current.version) {
+    condition += ` AND #items[${index}].version = :version`;
+    values[':version'] = current.version;
+  } else {
+    condition += ` AND attribute_not_exists(#items[${index}].version)`;
+  }
+
+  await docClient.send(new UpdateCommand({
+    TableName: CARTS_TABLE,
+    Key: { userId },
+    UpdateExpression: `SET ${sets.join(', ')}${removes.length > 0 ? ` REMOVE ${removes.join(', ')}` : ''}`,
+    ConditionExpression: condition,
+    ExpressionAttributeNames: { '#items': 'items' },
+    ExpressionAttributeValues: values
+  }));
+  return remaining;
+};
+
+// The version a client sent, if any, must match the line's current version
+const isStaleVersion = (version, line) => version !== undefined && version !== (line.version || 0);
+
+// Change a line's quantity. More stock is reserved before the line is
+// written and renews its hold; stock no longer needed is released after.
+app.patch('/api/cart/:userId/items/:productId', async (req, res) => {
+  const { userId } = req.params;
+  const productId = parseInt(req.params.productId);
+  const { sku, quantity, version } = req.body || {};
+
+  if (!Number.isInteger(productId)) {
+    return res.status(400).json({ error: 'productId must be an integer' });
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return res.status(400).json({ error: 'quantity must be a positive integer' });
+  }
+  if (version !== undefined && !Number.isInteger(version)) {
+    return res.status(400).json({ error: 'version must be an integer' });
+  }
+
   try {
-    const { items } = req.body;
-    
-    await docClient.send(new PutCommand({
+    const cartResult = await docClient.send(new GetCommand({
       TableName: CARTS_TABLE,
-      Item: {
-        userId: req.params.userId,
-        items: items || [],
-        updatedAt: new Date().toISOString()
+      Key: { userId },
+      ConsistentRead: true
+    }));
+    const cartItems = cartResult.Item ? cartResult.Item.items || [] : [];
+    const found = findCartLine(cartItems, productId, sku);
+    if (found.body) {
+      return res.status(found.status).json(found.body);
+    }
+    const { index, line } = found;
+    if (isStaleVersion(version, line)) {
+      return res.status(409).json({ error: 'Cart item changed concurrently, please retry', item: line });
+    }
+
+    const difference = quantity - line.quantity;
+    if (difference === 0) {
+      return res.json({ success: true, item: line, cart: cartItems });
+    }
+    const updated = { ...line, quantity, version: (line.version || 0) + 1 };
+    if (difference > 0) {
+      const reservation = await reserveCartLine(productId, line.sku, difference, 'cart_add', userId);
+      if (reservation.body) {
+        return res.status(reservation.status).json(reservation.body);
       }
+      updated.reservedUntil = getReservationExpiry();
+    }
+
+    let remaining;
+    try {
+      remaining = await writeCartLine(userId, cartItems, index, updated);
+    } catch (error) {
+      if (difference > 0) {
+        await releaseStock(productId, line.sku, difference, 'cart_rollback', userId);
+      }
+      throw error;
+    }
+    if (difference < 0) {
+      await releaseStock(productId, line.sku, -difference, 'cart_remove', userId);
+    }
+
+    res.json({ success: true, item: updated, cart: remaining });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Cart item changed concurrently, please retry' });
+    }
+    log.error(`Error updating cart item: ${error.message}`);
+    res.status(500).json({ error: 'Failed to update cart item' });
+  }
+});
+
+// Remove a line and release its stock (?sku= picks the line, ?version= is
+// the version the client saw)
+app.delete('/api/cart/:userId/items/:productId', async (req, res) => {
+  const { userId } = req.params;
+  const productId = parseInt(req.params.productId);
+  const version = req.query.version !== undefined ? Number(req.query.version) : undefined;
+
+  if (!Number.isInteger(productId)) {
+    return res.status(400).json({ error: 'productId must be an integer' });
+  }
+  if (version !== undefined && !Number.isInteger(version)) {
+    return res.status(400).json({ error: 'version must be an integer' });
+  }
+
+  try {
+    const cartResult = await docClient.send(new GetCommand({
+      TableName: CARTS_TABLE,
+      Key: { userId },
+      ConsistentRead: true
     }));
-    
-    res.json({ success: true, cart: items });
+    const cartItems = cartResult.Item ? cartResult.Item.items || [] : [];
+    const found = findCartLine(cartItems, productId, req.query.sku);
+    if (found.body) {
+      return res.status(found.status).json(found.body);
+    }
+    const { index, line } = found;
+    if (isStaleVersion(version, line)) {
+      return res.status(409).json({ error: 'Cart item changed concurrently, please retry', item: line });
+    }
+
+    const remaining = await writeCartLine(userId, cartItems, index, null);
+    await releaseStock(productId, line.sku, line.quantity, 'cart_remove', userId);
+
+    res.json({ success: true, cart: remaining });
   } catch (error) {
-    log.error(`Error updating cart: ${error.message}`);
-    res.status(500).json({ error: 'Failed to update cart' });
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Cart item changed concurrently, please retry' });
+    }
+    log.error(`Error removing cart item: ${error.message}`);
+    res.status(500).json({ error: 'Failed to remove cart item' });
   }
 });
 
-// Clear cart
+// Clear cart. A shopper emptying their cart passes ?release=true so the
+// lines' stock is handed back; order-service clears the cart of a placed
+// order, whose stock has been committed, and passes ?orderId= so an
+// abandoned cart is counted as recovered.
 app.delete('/api/cart/:userId', async (req, res) => {
+  const { userId } = req.params;
   try {
+    if (req.query.release !== 'true') {
+      const result = await docClient.send(new PutCommand({
+        TableName: CARTS_TABLE,
+        Item: buildCartRecord(userId, []),
+        ReturnValues: 'ALL_OLD'
+      }));
+      const previous = result.Attributes;
+      if (req.query.orderId && previous && previous.abandonedAt) {
+        cartsRecovered.inc();
+        publishCartEvent({
+          type: 'cart.recovered',
+          userId,
+          orderId: req.query.orderId,
+          abandonedAt: previous.abandonedAt,
+          recoveredAt: new Date().toISOString()
+        });
+      }
+      return res.json({ success: true });
+    }
+
+    const cartResult = await docClient.send(new GetCommand({
+      TableName: CARTS_TABLE,
+      Key: { userId },
+      ConsistentRead: true
+    }));
+    const cartItems = cartResult.Item ? cartResult.Item.items || [] : [];
     await docClient.send(new PutCommand({
       TableName: CARTS_TABLE,
-      Item: {
-        userId: req.params.userId,
-        items: [],
-        updatedAt: new Date().toISOString()
-      }
+      Item: buildCartRecord(userId, []),
+      ...cartUnchangedCondition(cartResult.Item, 'cart')
     }));
+    for (const item of cartItems) {
+      await releaseStock(item.productId, item.sku, item.quantity, 'cart_remove', userId);
+    }
     
     res.json({ success: true });
   } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Cart changed concurrently, please retry' });
+    }
     log.error(`Error clearing cart: ${error.message}`);
     res.status(500).json({ error: 'Failed to clear cart' });
   }
 });
 
+// Coupons
+// product-service works out what a code is worth on the cart's lines.
+// Resolves to { coupon } or, when the code is unknown or does not apply,
+// { status, error } with the reason to show the shopper.
+const checkCoupon = async (code, userId, items) => {
+  try {
+    const response = await axios.post(`${PRODUCT_SERVICE_URL}/api/coupons/${encodeURIComponent(code)}/evaluate`, {
+      userId,
+      items: items.map(({ productId, sku, quantity }) => ({ productId, sku, quantity }))
+    });
+    return { coupon: response.data };
+  } catch (error) {
+    if (error.response && [400, 404, 409].includes(error.response.status)) {
+      return { status: error.response.status, error: error.response.data.error };
+    }
+    throw error;
+  }
+};
+
+// The applied coupon and its discount on the cart as it is now. A code that
+// no longer applies (the cart dropped under its minimum spend, it expired, ...)
+// stays on the cart with the reason, since it may apply again later.
+app.get('/api/cart/:userId/coupon', async (req, res) => {
+  try {
+    const result = await docClient.send(new GetCommand({
+      TableName: CARTS_TABLE,
+      Key: { userId: req.params.userId },
+      ConsistentRead: true
+    }));
+    const cart = result.Item;
+    if (!cart || !cart.coupon) {
+      return res.json({ code: null, coupon: null });
+    }
+    if (!cart.items || cart.items.length === 0) {
+      return res.json({ code: cart.coupon, coupon: null, error: 'Your cart is empty' });
+    }
+
+    const { coupon, error } = await checkCoupon(cart.coupon, req.params.userId, cart.items);
+    res.json({ code: cart.coupon, coupon: coupon || null, ...(error ? { error } : {}) });
+  } catch (error) {
+    log.error(`Error getting cart coupon: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get coupon' });
+  }
+});
+
+// Apply a coupon code, replacing any applied before. Codes that do not apply
+// are rejected with the reason.
+app.put('/api/cart/:userId/coupon', async (req, res) => {
+  const { userId } = req.params;
+  const { code } = req.body || {};
+  if (typeof code !== 'string' || code.trim() === '') {
+    return res.status(400).json({ error: 'code is required' });
+  }
+
+  try {
+    const result = await docClient.send(new GetCommand({
+      TableName: CARTS_TABLE,
+      Key: { userId },
+      ConsistentRead: true
+    }));
+    const items = result.Item ? result.Item.items || [] : [];
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Add items to your cart before applying a coupon' });
+    }
+
+    const { coupon, status, error } = await checkCoupon(code.trim(), userId, items);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    // updatedAt moves so a sweep that read the cart before cannot drop the code
+    await docClient.send(new UpdateCommand({
+      TableName: CARTS_TABLE,
+      Key: { userId },
+      UpdateExpression: 'SET coupon = :code, updatedAt = :now',
+      ConditionExpression: 'attribute_exists(userId)',
+      ExpressionAttributeValues: { ':code': coupon.code, ':now': new Date().toISOString() }
+    }));
+    log.info(`Coupon ${coupon.code} applied to cart ${userId}`);
+    res.json({ success: true, coupon });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Cart changed concurrently, please retry' });
+    }
+    log.error(`Error applying coupon: ${error.message}`);
+    res.status(500).json({ error: 'Failed to apply coupon' });
+  }
+});
+
+// Remove the applied coupon
+app.delete('/api/cart/:userId/coupon', async (req, res) => {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: CARTS_TABLE,
+      Key: { userId: req.params.userId },
+      UpdateExpression: 'REMOVE coupon SET updatedAt = :now',
+      ConditionExpression: 'attribute_exists(userId)',
+      ExpressionAttributeValues: { ':now': new Date().toISOString() }
+    }));
+    res.json({ success: true });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.json({ success: true });
+    }
+    log.error(`Error removing coupon: ${error.message}`);
+    res.status(500).json({ error: 'Failed to remove coupon' });
+  }
+});
+
+// Cart summary
+// Totals for the cart as it is now, shipped to ?country= (and ?region=) with
+// the ?shipping= option. The cart page, checkout and order-service all read
+// totals from here, so the total a shopper sees is the total they pay.
+app.get('/api/cart/:userId/summary', async (req, res) => {
+  const { userId } = req.params;
+  const country = String(req.query.country || DEFAULT_COUNTRY).toUpperCase();
+  const region = req.query.region ? String(req.query.region).toUpperCase() : null;
+  if (!summary.COUNTRY_PATTERN.test(country)) {
+    return res.status(400).json({ error: 'country must be a two-letter country code' });
+  }
+
+  try {
+    const result = await docClient.send(new GetCommand({
+      TableName: CARTS_TABLE,
+      Key: { userId },
+      ConsistentRead: true
+    }));
+    const cart = result.Item;
+    const items = cart ? cart.items || [] : [];
+
+    let products = new Map();
+    if (items.length > 0) {
+      const productResponse = await axios.get(`${PRODUCT_SERVICE_URL}/api/products`, {
+        params: { ids: [...new Set(items.map(item => item.productId))].join(',') }
+      });
+      products = new Map(productResponse.data.products.map(product => [product.id, product]));
+    }
+    const { lines, missing } = summary.priceLines(items, products);
+
+    // Like GET /coupon: a code that no longer applies stays with the reason
+    let coupon = null;
+    let couponStatus = null;
+    if (cart && cart.coupon) {
+      couponStatus = { code: cart.coupon };
+      if (lines.length === 0) {
+        couponStatus.error = 'Your cart is empty';
+      } else {
+        const check = await checkCoupon(cart.coupon, userId, lines);
+        if (check.error) {
+          couponStatus.error = check.error;
+        } else {
+          coupon = check.coupon;
+        }
+      }
+    }
+
+    const cartSummary = summary.buildSummary({
+      lines,
+      missing,
+      rules: checkoutRules,
+      country,
+      region,
+      shippingId: req.query.shipping,
+      coupon
+    });
+    if (cartSummary.error) {
+      return res.status(400).json({ error: cartSummary.error });
+    }
+    res.json({ ...cartSummary, coupon: couponStatus });
+  } catch (error) {
+    log.error(`Error summarizing cart: ${error.message}`);
+    res.status(500).json({ error: 'Failed to summarize cart' });
+  }
+});
+
+// Countries (and regions) with their own tax and shipping rules, for the
+// checkout's destination picker. Other countries get the default rules.
+app.get('/api/shipping/destinations', (req, res) => {
+  res.json({ defaultCountry: DEFAULT_COUNTRY, destinations: summary.listDestinations(checkoutRules) });
+});
+
+// Merge an anonymous cart (fromUserId) into this shopper's cart when they
+// sign in. Quantities of the same SKU are summed. Every line in a cart holds
+// its stock, so the merged cart never asks for more than is reserved; lines
+// keep holding it under the shopper's cart, with the hold renewed. Both
+// records are written in one transaction, so a concurrent change or sweep
+// cannot lose or double-release a line.
+app.post('/api/cart/:userId/merge', requireService, async (req, res) => {
+  const { userId } = req.params;
+  const { fromUserId } = req.body || {};
+
+  if (typeof fromUserId !== 'string' || fromUserId === '') {
+    return res.status(400).json({ error: 'fromUserId is required' });
+  }
+  if (fromUserId === userId) {
+    return res.status(400).json({ error: 'fromUserId must differ from the cart being merged into' });
+  }
+
+  try {
+    const [fromResult, toResult] = await Promise.all([fromUserId, userId].map(id => docClient.send(new GetCommand({
+      TableName: CARTS_TABLE,
+      Key: { userId: id },
+      ConsistentRead: true
+    }))));
+    const fromCart = fromResult.Item;
+    const toCart = toResult.Item;
+    const fromItems = fromCart ? fromCart.items || [] : [];
+    const cartItems = toCart ? toCart.items || [] : [];
+
+    if (fromItems.length === 0) {
+      return res.json({ success: true, merged: 0, cart: cartItems });
+    }
+
+    const reservedUntil = getReservationExpiry();
+    for (const item of fromItems) {
+      addCartLine(cartItems, item, reservedUntil);
+    }
+
+    const fromCondition = cartUnchangedCondition(fromCart, 'from');
+    const toCondition = cartUnchangedCondition(toCart, 'to');
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Delete: {
+            TableName: CARTS_TABLE,
+            Key: { userId: fromUserId },
+            ...fromCondition
+          }
+        },
+        {
+          Put: {
+            TableName: CARTS_TABLE,
+            Item: buildCartRecord(userId, cartItems, {
+              coupon: (toCart && toCart.coupon) || (fromCart && fromCart.coupon),
+              abandonedAt: (toCart && toCart.abandonedAt) || (fromCart && fromCart.abandonedAt)
+            }),
+            ...toCondition
+          }
+        }
+      ]
+    }));
+
+    cartsMerged.inc();
+    log.info(`Merged ${fromItems.length} cart lines from ${fromUserId} into ${userId}`);
+    res.json({ success: true, merged: fromItems.length, cart: cartItems });
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      return res.status(409).json({ error: 'Cart changed concurrently, please retry' });
+    }
+    log.error(`Error merging carts: ${error.message}`);
+    res.status(500).json({ error: 'Failed to merge carts' });
+  }
+});
+
+// Wishlists
+// One record per shopper with the products they hearted and the cart lines
+// they saved for later. Wishlist items hold no stock: moving one to the cart
+// reserves it and saving a cart line for later releases it.
+const MAX_WISHLIST_ITEMS = 100;
+
+const getWishlist = async (userId) => {
+  const result = await docClient.send(new GetCommand({
+    TableName: WISHLISTS_TABLE,
+    Key: { userId },
+    ConsistentRead: true
+  }));
+  return result.Item;
+};
+
+const buildWishlistRecord = (userId, items) => ({
+  userId,
+  items,
+  updatedAt: new Date().toISOString()
+});
+
+// Condition that a wishlist record is still as it was read
+const wishlistUnchangedCondition = (wishlist) => {
+  if (!wishlist) {
+    return { ConditionExpression: 'attribute_not_exists(userId)' };
+  }
+  return {
+    ConditionExpression: 'updatedAt = :wishlistUpdatedAt',
+    ExpressionAttributeValues: { ':wishlistUpdatedAt': wishlist.updatedAt }
+  };
+};
+
+// Add an item to wishlist items, or add its quantity to the same SKU's item.
+// Items are keyed by product and SKU; sku is null for a hearted product with
+// variants, since no option has been chosen yet.
+const addWishlistItem = (items, { productId, sku, quantity }) => {
+  const existing = items.find(item => item.productId === productId && item.sku === sku);
+  if (existing) {
+    existing.quantity += quantity;
+  } else {
+    items.push({ productId, sku, quantity, addedAt: new Date().toISOString() });
+  }
+};
+
+app.get('/api/wishlist/:userId', async (req, res) => {
+  try {
+    const wishlist = await getWishlist(req.params.userId);
+    res.json(wishlist ? wishlist.items : []);
+  } catch (error) {
+    log.error(`Error getting wishlist: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get wishlist' });
+  }
+});
+
+// Heart a product. sku may be left out for products without variants, and
+// for products with variants when no option has been chosen. Adding an item
+// that is already on the wishlist leaves it as it is.
+app.post('/api/wishlist/:userId/items', async (req, res) => {
+  const { userId } = req.params;
+  const { productId } = req.body || {};
+  let { sku } = req.body || {};
+
+  if (!Number.isInteger(productId)) {
+    return res.status(400).json({ error: 'productId must be an integer' });
+  }
+  if (sku !== undefined && (typeof sku !== 'string' || sku === '')) {
+    return res.status(400).json({ error: 'sku must be a non-empty string' });
+  }
+
+  try {
+    let product;
+    try {
+      product = (await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${productId}`)).data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      throw error;
+    }
+    if (sku && !(product.variants ? product.variants[sku] : product.sku === sku)) {
+      return res.status(400).json({ error: `Product ${productId} has no SKU ${sku}` });
+    }
+    sku = sku || (product.variants ? null : product.sku);
+
+    const wishlist = await getWishlist(userId);
+    const items = wishlist ? wishlist.items : [];
+    if (items.some(item => item.productId === productId && item.sku === sku)) {
+      return res.json({ success: true, wishlist: items });
+    }
+    if (items.length >= MAX_WISHLIST_ITEMS) {
+      return res.status(400).json({ error: `A wishlist holds at most ${MAX_WISHLIST_ITEMS} items` });
+    }
+
+    addWishlistItem(items, { productId, sku, quantity: 1 });
+    await docClient.send(new PutCommand({
+      TableName: WISHLISTS_TABLE,
+      Item: buildWishlistRecord(userId, items),
+      ...wishlistUnchangedCondition(wishlist)
+    }));
+    res.json({ success: true, wishlist: items });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Wishlist changed concurrently, please retry' });
+    }
+    log.error(`Error adding to wishlist: ${error.message}`);
+    res.status(500).json({ error: 'Failed to add to wishlist' });
+  }
+});
+
+// Remove a product's items from the wishlist, or only its ?sku= item. An
+// empty ?sku= picks the item hearted without a SKU.
+app.delete('/api/wishlist/:userId/items/:productId', async (req, res) => {
+  const { userId } = req.params;
+  const productId = parseInt(req.params.productId);
+  const sku = req.query.sku === '' ? null : req.query.sku;
+
+  try {
+    const wishlist = await getWishlist(userId);
+    const items = wishlist ? wishlist.items : [];
+    const remaining = items.filter(item => item.productId !== productId || (sku !== undefined && item.sku !== sku));
+    if (remaining.length === items.length) {
+      return res.json({ success: true, wishlist: items });
+    }
+
+    await docClient.send(new PutCommand({
+      TableName: WISHLISTS_TABLE,
+      Item: buildWishlistRecord(userId, remaining),
+      ...wishlistUnchangedCondition(wishlist)
+    }));
+    res.json({ success: true, wishlist: remaining });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Wishlist changed concurrently, please retry' });
+    }
+    log.error(`Error removing from wishlist: ${error.message}`);
+    res.status(500).json({ error: 'Failed to remove from wishlist' });
+  }
+});
+
+// Move a wishlist item to the cart. Stock is reserved first, then the item
+// leaves the wishlist and joins the cart in one transaction; if that fails the
+// reservation is handed back. sku picks the item (or the option, for a hearted
+// product with variants) and quantity defaults to the item's own.
+app.post('/api/wishlist/:userId/items/:productId/move-to-cart', async (req, res) => {
+  const { userId } = req.params;
+  const productId = parseInt(req.params.productId);
+  const { sku: requestedSku, quantity: requestedQuantity } = req.body || {};
+
+  if (requestedQuantity !== undefined && (!Number.isInteger(requestedQuantity) || requestedQuantity < 1)) {
+    return res.status(400).json({ error: 'quantity must be a positive integer' });
+  }
+
+  let wishlist;
+  let item;
+  let reservation;
+  try {
+    wishlist = await getWishlist(userId);
+    const items = wishlist ? wishlist.items : [];
+    const productItems = items.filter(entry => entry.productId === productId);
+    // An option chosen on the wishlist page can come from the hearted item too
+    item = requestedSku
+      ? productItems.find(entry => entry.sku === requestedSku) || productItems.find(entry => entry.sku === null)
+      : productItems[0];
+    if (!item) {
+      return res.status(404).json({ error: 'Item is not on the wishlist' });
+    }
+    reservation = await reserveCartLine(productId, requestedSku || item.sku, requestedQuantity || item.quantity, 'wishlist_move', userId);
+  } catch (error) {
+    log.error(`Error reserving stock for wishlist item: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to move item to cart' });
+  }
+  if (reservation.body) {
+    return res.status(reservation.status).json(reservation.body);
+  }
+  const line = { sku: reservation.sku, productId, quantity: requestedQuantity || item.quantity };
+
+  try {
+    const cartResult = await docClient.send(new GetCommand({
+      TableName: CARTS_TABLE,
+      Key: { userId },
+      ConsistentRead: true
+    }));
+    const cart = cartResult.Item;
+    const cartItems = cart ? cart.items || [] : [];
+    addCartLine(cartItems, line, getReservationExpiry());
+    const remaining = wishlist.items.filter(entry => entry !== item);
+
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Put: {
+            TableName: WISHLISTS_TABLE,
+            Item: buildWishlistRecord(userId, remaining),
+            ...wishlistUnchangedCondition(wishlist)
+          }
+        },
+        {
+          Put: {
+            TableName: CARTS_TABLE,
+            Item: buildCartRecord(userId, cartItems, cart),
+            ...cartUnchangedCondition(cart, 'cart')
+          }
+        }
+      ]
+    }));
+
+    wishlistMoves.inc({ direction: 'to_cart' });
+    res.json({ success: true, cart: cartItems, wishlist: remaining });
+  } catch (error) {
+    // Nothing was written, so hand the reserved stock back
+    await releaseStock(productId, line.sku, line.quantity, 'cart_rollback', userId);
+    if (error.name === 'TransactionCanceledException') {
+      return res.status(409).json({ error: 'Cart or wishlist changed concurrently, please retry' });
+    }
+    log.error(`Error moving wishlist item to cart: ${error.message}`);
+    res.status(500).json({ error: 'Failed to move item to cart' });
+  }
+});
+
+// Save a cart line for later: it leaves the cart and joins the wishlist in
+// one transaction, and its stock is released once that has committed. The
+// cart condition means a line the sweeper already released is not released
+// twice.
+app.post('/api/cart/:userId/items/:sku/save-for-later', async (req, res) => {
+  const { userId, sku } = req.params;
+
+  try {
+    const [cartResult, wishlist] = await Promise.all([
+      docClient.send(new GetCommand({
+        TableName: CARTS_TABLE,
+        Key: { userId },
+        ConsistentRead: true
+      })),
+      getWishlist(userId)
+    ]);
+    const cart = cartResult.Item;
+    const cartItems = cart ? cart.items || [] : [];
+    const line = cartItems.find(item => item.sku === sku);
+    if (!line) {
+      return res.status(404).json({ error: 'Item is not in the cart' });
+    }
+    const wishlistItems = wishlist ? wishlist.items : [];
+    if (wishlistItems.length >= MAX_WISHLIST_ITEMS && !wishlistItems.some(item => item.sku === sku)) {
+      return res.status(400).json({ error: `A wishlist holds at most ${MAX_WISHLIST_ITEMS} items` });
+    }
+
+    const remaining = cartItems.filter(item => item !== line);
+    addWishlistItem(wishlistItems, line);
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Put: {
+            TableName: CARTS_TABLE,
+            Item: buildCartRecord(userId, remaining, cart),
+            ...cartUnchangedCondition(cart, 'cart')
+          }
+        },
+        {
+          Put: {
+            TableName: WISHLISTS_TABLE,
+            Item: buildWishlistRecord(userId, wishlistItems),
+            ...wishlistUnchangedCondition(wishlist)
+          }
+        }
+      ]
+    }));
+
+    await releaseStock(line.productId, sku, line.quantity, 'saved_for_later', userId);
+    wishlistMoves.inc({ direction: 'saved_for_later' });
+    res.json({ success: true, cart: remaining, wishlist: wishlistItems });
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      return res.status(409).json({ error: 'Cart or wishlist changed concurrently, please retry' });
+    }
+    log.error(`Error saving cart item for later: ${error.message}`);
+    res.status(500).json({ error: 'Failed to save item for later' });
+  }
+});
+
+// Release expired reservations back to product-service and prune the lines
+const sweepExpiredReservations = async () => {
+  const now = new Date().toISOString();
+  let startKey;
+  let released = 0;
+
+  do {
+    const result = await docClient.send(new ScanCommand({
+      TableName: CARTS_TABLE,
+      FilterExpression: 'nextExpiry <= :now',
+      ExpressionAttributeValues: { ':now': now },
+      ExclusiveStartKey: startKey
+    }));
+
+    for (const cart of result.Items || []) {
+      const expired = cart.items.filter(item => item.reservedUntil && item.reservedUntil <= now);
+      const remaining = cart.items.filter(item => !expired.includes(item));
+
+      try {
+        // Only write if the cart is unchanged since the scan, so a concurrent
+        // update or another replica's sweeper cannot cause a double release.
+        // Pruning always moves nextExpiry, and updatedAt is kept so a sweep
+        // does not count as shopper activity.
+        await docClient.send(new PutCommand({
+          TableName: CARTS_TABLE,
+          Item: { ...buildCartRecord(cart.userId, remaining, cart), updatedAt: cart.updatedAt },
+          ConditionExpression: 'updatedAt = :updatedAt AND nextExpiry = :nextExpiry',
+          ExpressionAttributeValues: { ':updatedAt': cart.updatedAt, ':nextExpiry': cart.nextExpiry }
+        }));
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          log.info(`Cart ${cart.userId} changed during sweep, retrying next run`);
+          continue;
+        }
+        throw error;
+      }
+
+      for (const item of expired) {
+        await releaseStock(item.productId, item.sku, item.quantity, 'cart_expired', cart.userId);
+        reservationsExpired.inc();
+        released++;
+      }
+    }
+
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  if (released > 0) {
+    log.info(`Released ${released} expired cart reservations`);
+  }
+};
+
+let sweepTimer = null;
+
+const startReservationSweeper = () => {
+  let running = false;
+  sweepTimer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await sweepExpiredReservations();
+    } catch (error) {
+      log.error(`Error sweeping expired reservations: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL_SECONDS * 1000);
+};
+
+// Abandoned carts
+// A cart left idle with items for ABANDONED_CART_MINUTES is marked with
+// abandonedAt and a cart.abandoned event is published, once per cart until
+// it is checked out or cleared. The mark is written on condition that the
+// cart is still idle and unmarked, so only one replica publishes it.
+const publishCartEvent = (event) => {
+  // Not awaited by callers: a slow or failing publisher never holds up a
+  // cart request or the detection run
+  eventPublisher.publish(event).catch(error => {
+    log.error(`Failed to publish ${event.type} for cart ${event.userId}: ${error.message}`);
+  });
+};
+
+const detectAbandonedCarts = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - ABANDONED_CART_MINUTES * 60 * 1000).toISOString();
+  let startKey;
+  let abandoned = 0;
+
+  do {
+    const result = await docClient.send(new ScanCommand({
+      TableName: CARTS_TABLE,
+      FilterExpression: 'updatedAt <= :cutoff AND size(#items) > :none AND attribute_not_exists(abandonedAt)',
+      ExpressionAttributeNames: { '#items': 'items' },
+      ExpressionAttributeValues: { ':cutoff': cutoff, ':none': 0 },
+      ExclusiveStartKey: startKey
+    }));
+
+    for (const cart of result.Items || []) {
+      const abandonedAt = now.toISOString();
+      try {
+        await docClient.send(new UpdateCommand({
+          TableName: CARTS_TABLE,
+          Key: { userId: cart.userId },
+          UpdateExpression: 'SET abandonedAt = :abandonedAt',
+          ConditionExpression: 'updatedAt = :updatedAt AND attribute_not_exists(abandonedAt)',
+          ExpressionAttributeValues: { ':abandonedAt': abandonedAt, ':updatedAt': cart.updatedAt }
+        }));
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          continue;
+        }
+        throw error;
+      }
+
+      cartsAbandoned.inc();
+      abandoned++;
+      publishCartEvent({
+        type: 'cart.abandoned',
+        userId: cart.userId,
+        items: cart.items.map(({ productId, sku, quantity }) => ({ productId, sku, quantity })),
+        coupon: cart.coupon || null,
+        lastActivityAt: cart.updatedAt,
+        abandonedAt
+      });
+    }
+
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  if (abandoned > 0) {
+    log.info(`Marked ${abandoned} carts as abandoned`);
+  }
+};
+
+let abandonedCartTimer = null;
+
+const startAbandonedCartCheck = () => {
+  if (ABANDONED_CART_MINUTES >= RESERVATION_MINUTES) {
+    log.warn(`ABANDONED_CART_MINUTES (${ABANDONED_CART_MINUTES}) is not below CART_RESERVATION_MINUTES (${RESERVATION_MINUTES}); idle carts are emptied before they count as abandoned`);
+  }
+  let running = false;
+  abandonedCartTimer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await detectAbandonedCarts();
+    } catch (error) {
+      log.error(`Error detecting abandoned carts: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }, ABANDONED_CART_CHECK_SECONDS * 1000);
+};
+
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'cart-service' });
 });
@@ -179,11 +1240,15 @@ app.get('/metrics/cart', async (req, res) => {
 
 const server = app.listen(PORT, () => {
   log.info(`Cart service running on port ${PORT}`);
+  startReservationSweeper();
+  startAbandonedCartCheck();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   log.info('SIGTERM received, shutting down gracefully');
+  clearInterval(sweepTimer);
+  clearInterval(abandonedCartTimer);
   server.close(() => {
     log.info('Process terminated');
     process.exit(0);
@@ -192,6 +1257,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   log.info('SIGINT received, shutting down gracefully');
+  clearInterval(sweepTimer);
+  clearInterval(abandonedCartTimer);
   server.close(() => {
     log.info('Process terminated');
     process.exit(0);
@@ -0,0 +1,227 @@
+// Cart totals worked out in one place, so the cart page, checkout and the
+// order all show the same amounts: line totals, coupon discounts, shipping
+// and tax for a destination, and the grand total.
+
+// Tax and shipping per destination country (ISO 3166-1 alpha-2 code). A
+// country can list regions (states, provinces) whose tax rule replaces the
+// country's. Countries not listed use the default entry. Shipping costs base
+// plus perKg for every started kilogram of the order's weight. A tax rule
+// with onShipping also taxes the shipping charge.
+const DEFAULT_CHECKOUT_RULES = {
+  SG: {
+    name: 'Singapore',
+    tax: { name: 'GST', rate: 0.09, onShipping: true },
+    shipping: [
+      { id: 'standard', name: 'Standard (2-4 business days)', base: 3, perKg: 1 },
+      { id: 'express', name: 'Express (next business day)', base: 10, perKg: 2 }
+    ]
+  },
+  MY: {
+    name: 'Malaysia',
+    tax: { name: 'SST', rate: 0.1, onShipping: false },
+    shipping: [
+      { id: 'standard', name: 'Standard (4-7 business days)', base: 8, perKg: 3 },
+      { id: 'express', name: 'Express (2-3 business days)', base: 18, perKg: 5 }
+    ]
+  },
+  AU: {
+    name: 'Australia',
+    tax: { name: 'GST', rate: 0.1, onShipping: true },
+    shipping: [
+      { id: 'standard', name: 'Standard (5-10 business days)', base: 15, perKg: 6 }
+    ]
+  },
+  US: {
+    name: 'United States',
+    tax: { name: 'Sales tax', rate: 0, onShipping: false },
+    regions: {
+      CA: { name: 'California', tax: { name: 'CA sales tax', rate: 0.0725, onShipping: false } },
+      NY: { name: 'New York', tax: { name: 'NY sales tax', rate: 0.04, onShipping: true } },
+      WA: { name: 'Washington', tax: { name: 'WA sales tax', rate: 0.065, onShipping: true } }
+    },
+    shipping: [
+      { id: 'standard', name: 'Standard (7-14 business days)', base: 20, perKg: 8 }
+    ]
+  },
+  default: {
+    name: 'International',
+    tax: { name: 'Tax', rate: 0, onShipping: false },
+    shipping: [
+      { id: 'standard', name: 'International (10-20 business days)', base: 25, perKg: 10 }
+    ]
+  }
+};
+
+// Products without a weightKg of their own
+const DEFAULT_ITEM_WEIGHT_KG = 0.5;
+
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const isRate = (value) => typeof value === 'number' && value >= 0 && value < 1;
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// The problem with a destination's rules, or null when they are usable
+const checkDestinationRules = (key, entry) => {
+  if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string') {
+    return `${key} needs a name`;
+  }
+  const taxRules = [entry.tax, ...Object.values(entry.regions || {}).map(region => region.tax)];
+  if (taxRules.some(tax => !tax || typeof tax.name !== 'string' || !isRate(tax.rate))) {
+    return `${key} tax rules need a name and a rate from 0 up to 1`;
+  }
+  if (!Array.isArray(entry.shipping) || entry.shipping.length === 0) {
+    return `${key} needs at least one shipping option`;
+  }
+  if (entry.shipping.some(option => typeof option.id !== 'string' || typeof option.name !== 'string' || !isAmount(option.base) || !isAmount(option.perKg))) {
+    return `${key} shipping options need an id, a name, base and perKg`;
+  }
+  return null;
+};
+
+// Checkout rules from CHECKOUT_RULES (a JSON object shaped like
+// DEFAULT_CHECKOUT_RULES), else the defaults. Invalid rules stop the service
+// from starting rather than mispricing orders.
+const loadCheckoutRules = (env = process.env) => {
+  if (!env.CHECKOUT_RULES) {
+    return DEFAULT_CHECKOUT_RULES;
+  }
+  let rules;
+  try {
+    rules = JSON.parse(env.CHECKOUT_RULES);
+  } catch (error) {
+    throw new Error(`CHECKOUT_RULES is not valid JSON: ${error.message}`);
+  }
+  if (!rules || !rules.default) {
+    throw new Error('CHECKOUT_RULES needs a default entry');
+  }
+  for (const [key, entry] of Object.entries(rules)) {
+    if (key !== 'default' && !COUNTRY_PATTERN.test(key)) {
+      throw new Error(`CHECKOUT_RULES key ${key} is not a two-letter country code`);
+    }
+    const problem = checkDestinationRules(key, entry);
+    if (problem) {
+      throw new Error(`CHECKOUT_RULES ${problem}`);
+    }
+  }
+  return rules;
+};
+
+// The countries (and their regions) listed in the rules, for destination pickers
+const listDestinations = (rules) =>
+  Object.entries(rules)
+    .filter(([key]) => key !== 'default')
+    .map(([country, entry]) => ({
+      country,
+      name: entry.name,
+      regions: Object.entries(entry.regions || {}).map(([code, region]) => ({ code, name: region.name }))
+    }));
+
+// The name, tax rule and shipping options for a destination. Unknown regions
+// fall back to the country's tax rule.
+const resolveDestination = (rules, country, region) => {
+  const entry = rules[country] || rules.default;
+  const regionEntry = region && entry.regions ? entry.regions[region] : undefined;
+  return {
+    destination: {
+      country,
+      region: regionEntry ? region : null,
+      name: regionEntry ? `${regionEntry.name}, ${entry.name}` : entry.name
+    },
+    tax: regionEntry ? regionEntry.tax : entry.tax,
+    shipping: entry.shipping
+  };
+};
+
+const quoteShipping = (option, weightKg) => ({
+  id: option.id,
+  name: option.name,
+  amount: roundPrice(option.base + option.perKg * Math.ceil(weightKg))
+});
+
+// Price cart items against product-service products (with effectivePrice).
+// Items whose product no longer exists are left out and their ids listed in
+// missing.
+const priceLines = (items, products) => {
+  const lines = [];
+  const missing = [];
+  for (const item of items) {
+    const product = products.get(item.productId);
+    if (!product) {
+      missing.push(item.productId);
+      continue;
+    }
+    const variant = product.variants && product.variants[item.sku];
+    const unitPrice = (variant || product).effectivePrice;
+    const regularPrice = variant && variant.price !== undefined ? variant.price : product.price;
+    const weightKg = product.weightKg !== undefined ? product.weightKg : DEFAULT_ITEM_WEIGHT_KG;
+    lines.push({
+      productId: product.id,
+      sku: item.sku,
+      name: product.name,
+      options: variant ? variant.options : {},
+      quantity: item.quantity,
+      unitPrice,
+      regularPrice,
+      // Kept so an order shows which sale a line was bought in
+      promotionId: unitPrice < regularPrice && product.activePromotion ? product.activePromotion.id : null,
+      lineTotal: roundPrice(unitPrice * item.quantity),
+      weightKg: weightKg * item.quantity,
+      reservedUntil: item.reservedUntil,
+      version: item.version || 0
+    });
+  }
+  return { lines, missing: [...new Set(missing)] };
+};
+
+// The summary of priced lines for a destination and shipping option (the
+// first one when shippingId is not given). coupon is the evaluation from
+// product-service, if a coupon applies. A free-shipping coupon waives up to
+// the cheapest option's charge, and its discount line shows the amount waived.
+// Returns { error } for an unknown shipping option.
+const buildSummary = ({ lines, missing, rules, country, region, shippingId, coupon }) => {
+  const { destination, tax, shipping: shippingRules } = resolveDestination(rules, country, region);
+  const weightKg = Math.round(lines.reduce((sum, line) => sum + line.weightKg, 0) * 1000) / 1000;
+  // Nothing is shipped for an empty cart
+  const shippingOptions = shippingRules.map(option => (lines.length > 0 ? quoteShipping(option, weightKg) : { ...quoteShipping(option, 0), amount: 0 }));
+  const shipping = shippingId ? shippingOptions.find(option => option.id === shippingId) : shippingOptions[0];
+  if (!shipping) {
+    return { error: `shipping must be one of: ${shippingOptions.map(option => option.id).join(', ')}` };
+  }
+
+  const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const itemDiscount = coupon ? Math.min(coupon.discountTotal, subtotal) : 0;
+  const shippingDiscount = coupon && coupon.freeShipping
+    ? Math.min(shipping.amount, ...shippingOptions.map(option => option.amount))
+    : 0;
+  const discounts = coupon
+    ? coupon.discounts.map(discount => (discount.type === 'free_shipping' ? { ...discount, amount: shippingDiscount } : discount))
+    : [];
+  const discountTotal = roundPrice(itemDiscount + shippingDiscount);
+
+  const taxable = subtotal - itemDiscount + (tax.onShipping ? shipping.amount - shippingDiscount : 0);
+  const taxAmount = roundPrice(taxable * tax.rate);
+
+  return {
+    lines,
+    missing,
+    subtotal,
+    discounts,
+    discountTotal,
+    destination,
+    weightKg,
+    shippingOptions,
+    shipping,
+    tax: { name: tax.name, rate: tax.rate, amount: taxAmount },
+    total: roundPrice(subtotal - discountTotal + shipping.amount + taxAmount)
+  };
+};
+
+module.exports = {
+  COUNTRY_PATTERN,
+  loadCheckoutRules,
+  listDestinations,
+  priceLines,
+  buildSummary
+};
\ No newline at end of file
@@ -47,6 +47,94 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
+  // Variant pickers: resolve the chosen options to a SKU and show its price and stock
+  const variantForms = document.querySelectorAll('.variant-form');
+  variantForms.forEach(form => {
+    const variants = JSON.parse(form.dataset.variants);
+    const basePrice = parseFloat(form.dataset.basePrice);
+    const compareAtPrice = parseFloat(form.dataset.compareAtPrice);
+    const selects = form.querySelectorAll('select[data-option]');
+    const skuInput = form.querySelector('input[name="sku"]');
+    const quantityInput = form.querySelector('input[name="quantity"]');
+    const submitButton = form.querySelector('button[type="submit"]');
+    const priceLabel = document.querySelector('#product-price .current-price');
+    const compareAtLabel = document.querySelector('#product-price .compare-at-price');
+    const stockLabel = document.getElementById('product-stock');
+    const notifyForm = document.getElementById('notify-form');
+    
+    selects.forEach(select => {
+      select.addEventListener('change', function() {
+        const chosen = {};
+        selects.forEach(s => { chosen[s.dataset.option] = s.value; });
+        
+        const match = Object.entries(variants).find(([, variant]) =>
+          Object.keys(chosen).every(option => variant.options[option] === chosen[option])
+        );
+        
+        if (!match) {
+          skuInput.value = '';
+          submitButton.disabled = true;
+          stockLabel.textContent = 'Select options to check availability';
+          stockLabel.classList.remove('unavailable');
+          notifyForm.hidden = true;
+          return;
+        }
+        
+        const [sku, variant] = match;
+        // effectivePrice includes any running promotion; strike through the
+        // regular price during a sale, else a higher compare-at price
+        const regularPrice = variant.price !== undefined ? variant.price : basePrice;
+        const price = variant.effectivePrice !== undefined ? variant.effectivePrice : regularPrice;
+        const wasPrice = price < regularPrice ? regularPrice : compareAtPrice;
+        skuInput.value = sku;
+        priceLabel.textContent = '$' + price.toFixed(2);
+        compareAtLabel.hidden = !(wasPrice > price);
+        if (wasPrice > price) {
+          compareAtLabel.textContent = '$' + wasPrice.toFixed(2);
+        }
+        quantityInput.setAttribute('max', variant.stock);
+        if (parseInt(quantityInput.value) > variant.stock) {
+          quantityInput.value = Math.max(variant.stock, 1);
+        }
+        
+        if (variant.stock > 0) {
+          stockLabel.textContent = 'In Stock: ' + variant.stock;
+          stockLabel.classList.remove('unavailable');
+          submitButton.disabled = false;
+        } else {
+          stockLabel.textContent = 'Out of stock';
+          stockLabel.classList.add('unavailable');
+          submitButton.disabled = true;
+        }
+        
+        // Offer a back-in-stock signup for sold-out variants
+        notifyForm.querySelector('input[name="sku"]').value = sku;
+        notifyForm.hidden = variant.stock > 0;
+      });
+    });
+  });
+  
+  // Product gallery - show the chosen thumbnail's detail image
+  const galleryMain = document.getElementById('gallery-main');
+  const galleryThumbnails = document.querySelectorAll('.gallery-thumbnail');
+  galleryThumbnails.forEach(thumbnail => {
+    thumbnail.addEventListener('click', function() {
+      galleryMain.src = this.dataset.detail;
+      galleryThumbnails.forEach(t => t.classList.remove('active'));
+      this.classList.add('active');
+    });
+  });
+  
+  // Recommendation carousels - scroll by most of the visible width
+  document.querySelectorAll('.recommendations').forEach(section => {
+    const track = section.querySelector('.carousel-track');
+    section.querySelectorAll('.carousel-btn').forEach(button => {
+      button.addEventListener('click', function() {
+        track.scrollBy({ left: Number(this.dataset.direction) * track.clientWidth * 0.8 });
+      });
+    });
+  });
+  
   // Auto-submit quantity update forms
   const quantityForms = document.querySelectorAll('.quantity-form');
   quantityForms.forEach(form => {
@@ -13,6 +13,13 @@ const PORT = process.env.PORT || 3000;
 const PRODUCT_SERVICE_URL = process.env.PRODUCT_SERVICE_URL || 'http://product-service:3001';
 const CART_SERVICE_URL = process.env.CART_SERVICE_URL || 'http://cart-service:3002';
 const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || 'http://order-service:3003';
+// Reviews are posted for the session's shopper, which product-service only
+// accepts from services holding SERVICE_API_TOKEN
+const SERVICE_AUTH = { headers: { 'X-Service-Token': process.env.SERVICE_API_TOKEN || '' } };
+// How long to wait for order-service to place an order before retrying once,
+// and how long to keep retrying while an earlier request with the same key
+// is still being placed
+const ORDER_PLACE_TIMEOUT_MS = parseInt(process.env.ORDER_PLACE_TIMEOUT_MS) || 15000;
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -26,6 +33,12 @@ const httpRequests = new promClient.Counter({
   labelNames: ['method', 'route', 'status_code']
 });
 
+const httpCacheLookups = new promClient.Counter({
+  name: 'frontend_service_http_cache_requests_total',
+  help: 'Conditional requests to product-service; a hit is a 304 answered from the cache',
+  labelNames: ['result']
+});
+
 // Logging helper
 const log = {
   info: (msg) => console.log(`[INFO] ${new Date().toISOString()} - ${msg}`),
@@ -67,6 +80,56 @@ app.use(session({
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
+// Forms that act on a listing (such as the wishlist hearts) send the shopper
+// back to the page they were on
+app.use((req, res, next) => {
+  res.locals.currentUrl = req.originalUrl;
+  next();
+});
+
+// Image URL for a product in views: its first uploaded image in the given
+// size, else the static image path, else a placeholder
+app.locals.productImage = (product, size = 'detail') => {
+  if (product.images && product.images.length > 0) {
+    return product.images[0][size].url;
+  }
+  return product.image || '/images/placeholder.svg';
+};
+
+// Conditional GETs for product-service reads. The last response for each URL
+// is kept with its ETag and sent back in If-None-Match, so unchanged data
+// comes back as a bodiless 304. Every call still revalidates, so stock and
+// prices are never older than product-service's own cache.
+const HTTP_CACHE_MAX_ENTRIES = 500;
+const httpCache = new Map();
+
+const cachedGet = async (url, config = {}) => {
+  const key = axios.getUri({ url, params: config.params });
+  const cached = httpCache.get(key);
+  const response = await axios.get(url, {
+    ...config,
+    headers: { ...config.headers, ...(cached ? { 'If-None-Match': cached.etag } : {}) },
+    validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && Boolean(cached))
+  });
+
+  httpCache.delete(key);
+  if (response.status === 304) {
+    // Re-insert so the least recently used entry is the one evicted
+    httpCacheLookups.inc({ result: 'hit' });
+    httpCache.set(key, cached);
+    return { ...response, status: 200, data: cached.data };
+  }
+
+  httpCacheLookups.inc({ result: 'miss' });
+  if (response.headers.etag) {
+    httpCache.set(key, { etag: response.headers.etag, data: response.data });
+    if (httpCache.size > HTTP_CACHE_MAX_ENTRIES) {
+      httpCache.delete(httpCache.keys().next().value);
+    }
+  }
+  return response;
+};
+
 // Helper to get user ID
 const getUserId = (req) => {
   if (!req.session.userId) {
@@ -85,6 +148,71 @@ const getCartCount = async (userId) => {
   }
 };
 
+// Selling price of a SKU (or the base product when sku is not a variant) and
+// the price to show struck through next to it: the regular price while a
+// promotion runs, else the product's compareAtPrice if that is higher
+const getSkuPrice = (product, sku) => {
+  const variant = product.variants && product.variants[sku];
+  const regularPrice = variant && variant.price !== undefined ? variant.price : product.price;
+  const price = (variant || product).effectivePrice;
+  const compareAt = price < regularPrice ? regularPrice : product.compareAtPrice;
+  return { price, compareAtPrice: compareAt > price ? compareAt : null };
+};
+
+app.locals.getSkuPrice = getSkuPrice;
+
+// Products for a set of ids in one product-service request, keyed by id
+const getProductsById = async (ids) => {
+  const products = new Map();
+  if (ids.length === 0) {
+    return products;
+  }
+  const response = await cachedGet(`${PRODUCT_SERVICE_URL}/api/products`, { params: { ids: [...new Set(ids)].join(',') } });
+  for (const product of response.data.products) {
+    products.set(product.id, product);
+  }
+  return products;
+};
+
+// Price, stock and option label of the SKU a cart line refers to
+const describeSku = (product, sku) => {
+  const variant = product.variants && product.variants[sku];
+  return {
+    ...getSkuPrice(product, sku),
+    stock: variant ? variant.stock : product.stock,
+    variantLabel: variant ? Object.values(variant.options).join(' / ') : null
+  };
+};
+
+// Shopper-facing message for a failed stock reservation
+const getStockErrorMessage = (error, fallback) => {
+  if (error.response && error.response.status === 409) {
+    const { error: reason, available } = error.response.data;
+    return available !== undefined ? `${reason} (only ${available} available)` : reason;
+  }
+  return fallback;
+};
+
+// The shopper's wishlist items as stored by cart-service. Other pages only
+// show hearts and counts from it, so a failure shows the wishlist empty.
+const getWishlistItems = async (userId) => {
+  try {
+    const response = await axios.get(`${CART_SERVICE_URL}/api/wishlist/${userId}`);
+    return response.data;
+  } catch (error) {
+    log.error(`Error getting wishlist: ${error.message}`);
+    return [];
+  }
+};
+
+// Ids of the products on the wishlist, for the heart toggles
+const getWishlistIds = async (userId) => [...new Set((await getWishlistItems(userId)).map(item => item.productId))];
+
+// A path on this site to redirect to, else fallback, so a form field cannot
+// send the shopper to another site
+const getLocalReturnPath = (value, fallback) =>
+  (typeof value === 'string' && /^\/(?![/\\])/.test(value) ? value : fallback);
+
 // Routes
 app.get('/', async (req, res) => {
   const userId = getUserId(req);
@@ -96,36 +224,161 @@ app.get('/', async (req, res) => {
 });
 
 // Products
+const PRODUCT_FILTER_PARAMS = ['q', 'minPrice', 'maxPrice', 'inStock', 'sort', 'brand', 'tag'];
+
+// Keep only the non-empty catalog filters from the query string
+const getProductFilters = (query) => {
+  const filters = {};
+  for (const param of PRODUCT_FILTER_PARAMS) {
+    if (query[param]) {
+      filters[param] = query[param];
+    }
+  }
+  return filters;
+};
+
+// Fetch one page of products for a listing page at basePath. extraParams are
+// sent to product-service but not repeated in the page links (e.g. category).
+const loadProductPage = async (basePath, query, extraParams = {}) => {
+  const filters = getProductFilters(query);
+  try {
+    const params = { ...filters, ...extraParams };
+    if (query.cursor) {
+      params.cursor = query.cursor;
+    }
+    const response = await cachedGet(`${PRODUCT_SERVICE_URL}/api/products`, { params });
+    const { products, nextCursor } = response.data;
+
+    return {
+      products,
+      filters,
+      nextPageUrl: nextCursor ? `${basePath}?${new URLSearchParams({ ...filters, cursor: nextCursor })}` : null,
+      firstPageUrl: query.cursor ? `${basePath}?${new URLSearchParams(filters)}` : null,
+      error: query.error || null
+    };
+  } catch (error) {
+    log.error(`Error getting products: ${error.message}`);
+    const details = error.response && error.response.status === 400 ? error.response.data.details : null;
+    return {
+      products: [],
+      filters,
+      nextPageUrl: null,
+      firstPageUrl: null,
+      error: details ? details.join(', ') : null
+    };
+  }
+};
+
 app.get('/products', async (req, res) => {
+  const userId = getUserId(req);
+  const cartCount = await getCartCount(userId);
+  const page = await loadProductPage('/products', req.query);
+  const wishlistIds = await getWishlistIds(userId);
+
+  res.render('layout', { 
+    content: 'products',
+    ...page,
+    wishlistIds,
+    cartCount
+  });
+});
+
+// Categories
+app.get(['/categories', '/categories/:slug'], async (req, res) => {
+  const userId = getUserId(req);
+  const cartCount = await getCartCount(userId);
+  const slug = req.params.slug;
+
   try {
-    const userId = getUserId(req);
-    const cartCount = await getCartCount(userId);
-    const response = await axios.get(`${PRODUCT_SERVICE_URL}/api/products`);
+    let category;
+    if (slug) {
+      const response = await cachedGet(`${PRODUCT_SERVICE_URL}/api/categories/${encodeURIComponent(slug)}`);
+      category = response.data;
+    } else {
+      // Top level: every root category acts as a child of "All Categories"
+      const response = await cachedGet(`${PRODUCT_SERVICE_URL}/api/categories`);
+      category = {
+        slug: null,
+        name: 'All Categories',
+        breadcrumb: [],
+        children: response.data.categories,
+        brands: response.data.brands,
+        total: response.data.total
+      };
+    }
+
+    const basePath = slug ? `/categories/${encodeURIComponent(slug)}` : '/categories';
+    const page = await loadProductPage(basePath, req.query, slug ? { category: slug } : {});
+    const wishlistIds = await getWishlistIds(userId);
+
     res.render('layout', { 
-      content: 'products',
-      products: response.data,
+      content: 'category',
+      category,
+      basePath,
+      ...page,
+      wishlistIds,
       cartCount
     });
   } catch (error) {
-    log.error(`Error getting products: ${error.message}`);
-    const userId = getUserId(req);
-    const cartCount = await getCartCount(userId);
-    res.render('layout', { 
-      content: 'products',
-      products: [],
+    log.error(`Error getting category: ${error.message}`);
+    const notFound = error.response && error.response.status === 404;
+    res.status(notFound ? 404 : 500).render('layout', { 
+      content: 'error',
+      message: notFound ? 'Category not found' : 'Failed to load category',
       cartCount
     });
   }
 });
 
+// Reviews are optional on the details page; a failure shows an empty list
+const loadReviews = async (productId, query) => {
+  const params = { sort: query.reviewSort || 'newest', limit: 5 };
+  if (query.reviewCursor) {
+    params.cursor = query.reviewCursor;
+  }
+  try {
+    const response = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${productId}/reviews`, { params });
+    const { reviews, nextCursor } = response.data;
+    return {
+      reviews,
+      reviewSort: params.sort,
+      nextReviewsUrl: nextCursor
+        ? `/products/${productId}?${new URLSearchParams({ reviewSort: params.sort, reviewCursor: nextCursor })}#reviews`
+        : null
+    };
+  } catch (error) {
+    log.error(`Error getting reviews: ${error.message}`);
+    return { reviews: [], reviewSort: params.sort, nextReviewsUrl: null };
+  }
+};
+
+// Recommendation carousels are optional too; a failure hides the carousel
+const loadRecommendations = async (request) => {
+  try {
+    const response = await request;
+    return response.data.products;
+  } catch (error) {
+    log.error(`Error getting recommendations: ${error.message}`);
+    return [];
+  }
+};
+
 app.get('/products/:id', async (req, res) => {
   try {
     const userId = getUserId(req);
     const cartCount = await getCartCount(userId);
-    const response = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${req.params.id}`);
+    const response = await cachedGet(`${PRODUCT_SERVICE_URL}/api/products/${req.params.id}`);
+    const reviewData = await loadReviews(response.data.id, req.query);
+    const recommendations = await loadRecommendations(cachedGet(`${PRODUCT_SERVICE_URL}/api/products/${response.data.id}/recommendations`));
+    const wishlistIds = await getWishlistIds(userId);
     res.render('layout', { 
       content: 'product-details',
       product: response.data,
+      ...reviewData,
+      recommendations,
+      wishlistIds,
+      reviewMessage: req.query.reviewMessage || null,
+      stockMessage: req.query.stockMessage || null,
       cartCount
     });
   } catch (error) {
@@ -140,187 +393,451 @@ app.get('/products/:id', async (req, res) => {
   }
 });
 
+app.post('/products/:id/reviews', async (req, res) => {
+  const productId = parseInt(req.params.id);
+  let message = 'Thanks for your review!';
+  try {
+    const userId = getUserId(req);
+    await axios.post(`${PRODUCT_SERVICE_URL}/api/products/${productId}/reviews`, {
+      userId,
+      rating: parseInt(req.body.rating),
+      title: req.body.title,
+      comment: req.body.comment,
+      authorName: req.body.authorName || undefined
+    }, SERVICE_AUTH);
+  } catch (error) {
+    log.error(`Error submitting review: ${error.message}`);
+    const data = error.response && error.response.data;
+    message = data && data.details ? data.details.join(', ') : (data && data.error) || 'Failed to submit review';
+  }
+  res.redirect(`/products/${productId}?reviewMessage=${encodeURIComponent(message)}#reviews`);
+});
+
+app.post('/products/:id/notify', async (req, res) => {
+  const productId = parseInt(req.params.id);
+  let message = "Thanks! We'll email you when it's back in stock.";
+  try {
+    await axios.post(`${PRODUCT_SERVICE_URL}/api/products/${productId}/stock-subscriptions`, {
+      email: req.body.email,
+      sku: req.body.sku || undefined
+    });
+  } catch (error) {
+    log.error(`Error creating stock subscription: ${error.message}`);
+    const data = error.response && error.response.data;
+    message = (data && data.error) || 'Failed to sign up for stock updates';
+  }
+  res.redirect(`/products/${productId}?stockMessage=${encodeURIComponent(message)}`);
+});
+
 // Cart
+// The destination and shipping option picked at checkout. They are kept in
+// the session so the cart page, coupon changes and placing the order all
+// quote the same; a checkout link with ?country= changes them.
+const getCheckoutChoice = (req) => {
+  if (typeof req.query.country === 'string' && /^[A-Za-z]{2}$/.test(req.query.country)) {
+    req.session.checkout = {
+      country: req.query.country.toUpperCase(),
+      region: typeof req.query.region === 'string' && req.query.region !== '' ? req.query.region : undefined,
+      shipping: typeof req.query.shipping === 'string' && req.query.shipping !== '' ? req.query.shipping : undefined
+    };
+  }
+  return req.session.checkout || {};
+};
+
+// The cart summary from cart-service. A shipping option that the destination
+// does not offer (the shopper just changed country) falls back to its first.
+const getCartSummary = async (userId, choice) => {
+  const url = `${CART_SERVICE_URL}/api/cart/${userId}/summary`;
+  const params = { country: choice.country, region: choice.region, shipping: choice.shipping };
+  try {
+    return (await axios.get(url, { params })).data;
+  } catch (error) {
+    if (error.response && error.response.status === 400 && choice.shipping) {
+      return (await axios.get(url, { params: { ...params, shipping: undefined } })).data;
+    }
+    throw error;
+  }
+};
+
+// Cart lines with product details for display, and the totals to show. All
+// amounts come from cart-service's summary, which order-service charges too.
+const loadCart = async (userId, choice) => {
+  const summary = await getCartSummary(userId, choice);
+  const products = await getProductsById(summary.lines.map(line => line.productId));
+  for (const productId of summary.missing) {
+    log.warn(`Cart ${userId} has product ${productId}, which no longer exists`);
+  }
+
+  const cart = summary.lines.map(line => {
+    const product = products.get(line.productId);
+    return {
+      ...(product ? { ...product, ...describeSku(product, line.sku) } : { id: line.productId, name: line.name }),
+      price: line.unitPrice,
+      sku: line.sku,
+      quantity: line.quantity,
+      reservedUntil: line.reservedUntil,
+      version: line.version,
+      itemTotal: line.lineTotal
+    };
+  });
+  const totals = {
+    subtotal: summary.subtotal,
+    discounts: summary.discounts,
+    shipping: summary.shipping,
+    shippingOptions: summary.shippingOptions,
+    tax: summary.tax,
+    destination: summary.destination,
+    total: summary.total,
+    couponCode: summary.coupon ? summary.coupon.code : null,
+    couponError: (summary.coupon && summary.coupon.error) || null
+  };
+  return { cart, totals, cartCount: cart.length };
+};
+
+const emptyTotals = {
+  subtotal: 0,
+  discounts: [],
+  shipping: null,
+  shippingOptions: [],
+  tax: null,
+  destination: null,
+  total: 0,
+  couponCode: null,
+  couponError: null
+};
+
 app.get('/cart', async (req, res) => {
   try {
     const userId = getUserId(req);
-    const cartResponse = await axios.get(`${CART_SERVICE_URL}/api/cart/${userId}`);
-    const cartItems = cartResponse.data;
-    
-    let total = 0;
-    const cart = [];
-    
-    for (const item of cartItems) {
-      const productResponse = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${item.productId}`);
-      const product = productResponse.data;
-      const itemTotal = product.price * item.quantity;
-      total += itemTotal;
-      
-      cart.push({
-        ...product,
-        quantity: item.quantity,
-        itemTotal
-      });
-    }
+    const { cart, totals, cartCount } = await loadCart(userId, getCheckoutChoice(req));
     
+    const recommendations = await loadRecommendations(axios.get(`${ORDER_SERVICE_URL}/api/recommendations/${encodeURIComponent(userId)}`));
+    const savedCount = (await getWishlistItems(userId)).length;
     res.render('layout', { 
       content: 'cart',
       cart,
-      total,
-      cartCount: cartItems.length
+      ...totals,
+      couponMessage: req.query.couponMessage || null,
+      recommendations,
+      savedCount,
+      error: req.query.error || null,
+      cartCount
     });
   } catch (error) {
     log.error(`Error getting cart: ${error.message}`);
     res.render('layout', { 
       content: 'cart',
       cart: [],
-      total: 0,
+      ...emptyTotals,
+      couponMessage: null,
+      recommendations: [],
+      savedCount: 0,
+      error: req.query.error || null,
       cartCount: 0
     });
   }
 });
 
+// Coupon forms are on the cart and checkout pages and send the shopper back
+// to the page they came from
+const COUPON_RETURN_PATHS = ['/cart', '/orders/checkout'];
+const getCouponReturnPath = (req) => (COUPON_RETURN_PATHS.includes(req.body.returnTo) ? req.body.returnTo : '/cart');
+
+app.post('/cart/coupon', async (req, res) => {
+  const returnTo = getCouponReturnPath(req);
+  let message = 'Coupon applied';
+  try {
+    const userId = getUserId(req);
+    await axios.put(`${CART_SERVICE_URL}/api/cart/${userId}/coupon`, { code: req.body.code });
+  } catch (error) {
+    log.error(`Error applying coupon: ${error.message}`);
+    message = (error.response && error.response.data && error.response.data.error) || 'Failed to apply coupon';
+  }
+  res.redirect(`${returnTo}?couponMessage=${encodeURIComponent(message)}`);
+});
+
+app.post('/cart/coupon/remove', async (req, res) => {
+  const returnTo = getCouponReturnPath(req);
+  try {
+    const userId = getUserId(req);
+    await axios.delete(`${CART_SERVICE_URL}/api/cart/${userId}/coupon`);
+  } catch (error) {
+    log.error(`Error removing coupon: ${error.message}`);
+  }
+  res.redirect(returnTo);
+});
+
 app.post('/cart/add', async (req, res) => {
   try {
     const userId = getUserId(req);
     await axios.post(`${CART_SERVICE_URL}/api/cart/${userId}/add`, {
       productId: parseInt(req.body.productId),
+      sku: req.body.sku || undefined,
       quantity: parseInt(req.body.quantity) || 1
     });
     res.redirect('/cart');
   } catch (error) {
     log.error(`Error adding to cart: ${error.message}`);
-    res.redirect('/products?error=Failed to add item to cart');
+    res.redirect(`/products?error=${encodeURIComponent(getStockErrorMessage(error, 'Failed to add item to cart'))}`);
   }
 });
 
-app.post('/cart/update/:id', async (req, res) => {
+// Cart line changes go to cart-service, which reserves or releases the
+// stock. The form sends the line's product and the version the shopper saw,
+// so a change made meanwhile in another tab comes back as a 409 to show.
+const cartLineUrl = (userId, productId) => `${CART_SERVICE_URL}/api/cart/${userId}/items/${parseInt(productId)}`;
+
+const parseVersion = (value) => (value !== undefined && value !== '' ? parseInt(value) : undefined);
+
+app.post('/cart/update/:sku', async (req, res) => {
   try {
     const userId = getUserId(req);
-    const productId = parseInt(req.params.id);
-    const newQuantity = parseInt(req.body.quantity);
-    
-    // Get current cart to calculate stock difference
-    const cartResponse = await axios.get(`${CART_SERVICE_URL}/api/cart/${userId}`);
-    const cartItems = cartResponse.data;
-    const currentItem = cartItems.find(item => item.productId === productId);
+    const sku = req.params.sku;
+    const quantity = parseInt(req.body.quantity);
+    const version = parseVersion(req.body.version);
     
-    if (currentItem) {
-      const quantityDiff = currentItem.quantity - newQuantity;
-      
-      if (newQuantity <= 0) {
-        // Remove item - restore all stock
-        const productResponse = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${productId}`);
-        const product = productResponse.data;
-        await axios.put(`${PRODUCT_SERVICE_URL}/api/products/${productId}/stock`, {
-          stock: product.stock + currentItem.quantity
-        });
-        
-        // Remove from cart
-        const updatedItems = cartItems.filter(item => item.productId !== productId);
-        await axios.put(`${CART_SERVICE_URL}/api/cart/${userId}`, { items: updatedItems });
-      } else {
-        // Update quantity - adjust stock
-        const productResponse = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${productId}`);
-        const product = productResponse.data;
-        await axios.put(`${PRODUCT_SERVICE_URL}/api/products/${productId}/stock`, {
-          stock: product.stock + quantityDiff
-        });
-        
-        // Update cart
-        const updatedItems = cartItems.map(item => 
-          item.productId === productId ? { ...item, quantity: newQuantity } : item
-        );
-        await axios.put(`${CART_SERVICE_URL}/api/cart/${userId}`, { items: updatedItems });
-      }
+    if (quantity <= 0) {
+      await axios.delete(cartLineUrl(userId, req.body.productId), { params: { sku, version } });
+    } else {
+      await axios.patch(cartLineUrl(userId, req.body.productId), { sku, quantity, version });
     }
     
     res.redirect('/cart');
   } catch (error) {
     log.error(`Error updating cart: ${error.message}`);
-    res.redirect('/cart');
+    res.redirect(`/cart?error=${encodeURIComponent(getStockErrorMessage(error, 'Failed to update cart'))}`);
   }
 });
 
-app.get('/cart/remove/:id', async (req, res) => {
+app.get('/cart/remove/:sku', async (req, res) => {
   try {
     const userId = getUserId(req);
-    const productId = parseInt(req.params.id);
-    
-    // Get current cart
-    const cartResponse = await axios.get(`${CART_SERVICE_URL}/api/cart/${userId}`);
-    const cartItems = cartResponse.data;
-    const itemToRemove = cartItems.find(item => item.productId === productId);
-    
-    if (itemToRemove) {
-      // Restore stock
-      const productResponse = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${productId}`);
-      const product = productResponse.data;
-      await axios.put(`${PRODUCT_SERVICE_URL}/api/products/${productId}/stock`, {
-        stock: product.stock + itemToRemove.quantity
-      });
-      
-      // Remove from cart
-      const updatedItems = cartItems.filter(item => item.productId !== productId);
-      await axios.put(`${CART_SERVICE_URL}/api/cart/${userId}`, { items: updatedItems });
-    }
-    
+    await axios.delete(cartLineUrl(userId, req.query.productId), {
+      params: { sku: req.params.sku, version: parseVersion(req.query.version) }
+    });
     res.redirect('/cart');
   } catch (error) {
     log.error(`Error removing from cart: ${error.message}`);
-    res.redirect('/cart');
+    res.redirect(`/cart?error=${encodeURIComponent(getStockErrorMessage(error, 'Failed to remove item'))}`);
   }
 });
 
 app.get('/cart/clear', async (req, res) => {
   try {
     const userId = getUserId(req);
-    
-    // Get current cart to restore stock
-    const cartResponse = await axios.get(`${CART_SERVICE_URL}/api/cart/${userId}`);
-    const cartItems = cartResponse.data;
-    
-    // Restore stock for all items
-    for (const item of cartItems) {
-      const productResponse = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${item.productId}`);
-      const product = productResponse.data;
-      await axios.put(`${PRODUCT_SERVICE_URL}/api/products/${item.productId}/stock`, {
-        stock: product.stock + item.quantity
-      });
-    }
-    
-    // Clear cart
-    await axios.delete(`${CART_SERVICE_URL}/api/cart/${userId}`);
+    // cart-service hands the lines' stock back
+    await axios.delete(`${CART_SERVICE_URL}/api/cart/${userId}`, { params: { release: true } });
     res.redirect('/cart');
   } catch (error) {
     log.error(`Error clearing cart: ${error.message}`);
+    res.redirect(`/cart?error=${encodeURIComponent(getStockErrorMessage(error, 'Failed to clear cart'))}`);
+  }
+});
+
+// Move a cart line to the wishlist; cart-service releases its stock
+app.post('/cart/save/:sku', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    await axios.post(`${CART_SERVICE_URL}/api/cart/${userId}/items/${encodeURIComponent(req.params.sku)}/save-for-later`);
+    res.redirect('/cart');
+  } catch (error) {
+    log.error(`Error saving cart item for later: ${error.message}`);
+    const message = (error.response && error.response.data && error.response.data.error) || 'Failed to save item for later';
+    res.redirect(`/cart?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Wishlist
+// Wishlist items with product details and current prices. Items saved from
+// the cart are for one SKU; hearted products with variants have no SKU until
+// the shopper chooses options.
+const loadWishlist = async (userId) => {
+  const response = await axios.get(`${CART_SERVICE_URL}/api/wishlist/${userId}`);
+  const products = await getProductsById(response.data.map(item => item.productId));
+
+  const wishlist = [];
+  for (const item of response.data) {
+    const product = products.get(item.productId);
+    if (!product) {
+      log.warn(`Wishlist ${userId} has product ${item.productId}, which no longer exists`);
+      continue;
+    }
+    wishlist.push({
+      ...product,
+      ...(item.sku ? describeSku(product, item.sku) : getSkuPrice(product, product.sku)),
+      sku: item.sku,
+      quantity: item.quantity
+    });
+  }
+  return wishlist;
+};
+
+app.get('/wishlist', async (req, res) => {
+  const userId = getUserId(req);
+  const cartCount = await getCartCount(userId);
+  try {
+    const wishlist = await loadWishlist(userId);
+    res.render('layout', {
+      content: 'wishlist',
+      wishlist,
+      error: req.query.error || null,
+      cartCount
+    });
+  } catch (error) {
+    log.error(`Error getting wishlist: ${error.message}`);
+    res.render('layout', {
+      content: 'wishlist',
+      wishlist: [],
+      error: 'Failed to load your wishlist',
+      cartCount
+    });
+  }
+});
+
+app.post('/wishlist/add', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    await axios.post(`${CART_SERVICE_URL}/api/wishlist/${userId}/items`, {
+      productId: parseInt(req.body.productId),
+      sku: req.body.sku || undefined
+    });
+    res.redirect(getLocalReturnPath(req.body.returnTo, '/wishlist'));
+  } catch (error) {
+    log.error(`Error adding to wishlist: ${error.message}`);
+    const message = (error.response && error.response.data && error.response.data.error) || 'Failed to add to wishlist';
+    res.redirect(`/wishlist?error=${encodeURIComponent(message)}`);
+  }
+});
+
+app.post('/wishlist/remove', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    await axios.delete(`${CART_SERVICE_URL}/api/wishlist/${userId}/items/${parseInt(req.body.productId)}`, {
+      // Rows on the wishlist page pick one item; a heart removes them all
+      params: req.body.sku !== undefined ? { sku: req.body.sku } : {}
+    });
+    res.redirect(getLocalReturnPath(req.body.returnTo, '/wishlist'));
+  } catch (error) {
+    log.error(`Error removing from wishlist: ${error.message}`);
+    res.redirect(`/wishlist?error=${encodeURIComponent('Failed to remove from wishlist')}`);
+  }
+});
+
+// Move a wishlist item to the cart; cart-service reserves its stock
+app.post('/wishlist/move', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    await axios.post(`${CART_SERVICE_URL}/api/wishlist/${userId}/items/${parseInt(req.body.productId)}/move-to-cart`, {
+      sku: req.body.sku || undefined
+    });
     res.redirect('/cart');
+  } catch (error) {
+    log.error(`Error moving wishlist item to cart: ${error.message}`);
+    const fallback = (error.response && error.response.data && error.response.data.error) || 'Failed to move item to cart';
+    res.redirect(`/wishlist?error=${encodeURIComponent(getStockErrorMessage(error, fallback))}`);
   }
 });
 
 // Orders
+// Destinations with their own tax and shipping rules, for the checkout picker
+const loadDestinations = async () => {
+  try {
+    const response = await axios.get(`${CART_SERVICE_URL}/api/shipping/destinations`);
+    return response.data.destinations;
+  } catch (error) {
+    log.error(`Error getting shipping destinations: ${error.message}`);
+    return [];
+  }
+};
+
 app.get('/orders/checkout', async (req, res) => {
   const userId = getUserId(req);
-  const cartCount = await getCartCount(userId);
-  res.render('layout', { 
-    content: 'checkout',
-    cartCount
-  });
+  try {
+    const { cart, totals, cartCount } = await loadCart(userId, getCheckoutChoice(req));
+    const destinations = await loadDestinations();
+    res.render('layout', { 
+      content: 'checkout',
+      cart,
+      ...totals,
+      destinations,
+      // Sent back with the order, so placing it twice from this page makes
+      // one order
+      idempotencyKey: uuid.v4(),
+      couponMessage: req.query.couponMessage || null,
+      error: req.query.error || null,
+      cartCount
+    });
+  } catch (error) {
+    log.error(`Error loading checkout: ${error.message}`);
+    res.redirect('/cart');
+  }
 });
 
+// order-service answers 409 with Retry-After while the first request with a
+// key is still running
+const isOrderInProgress = (error) =>
+  Boolean(error.response && error.response.status === 409 && error.response.headers['retry-after'] !== undefined);
+
+// Send an order with the checkout page's key. A request that got no answer
+// is sent once more, and while the key's first request is still running the
+// order is sent again after each Retry-After, for up to
+// ORDER_PLACE_TIMEOUT_MS, so the shopper ends up on the order that key made.
+// Without a key the order is sent once.
+const sendOrder = async (order, key) => {
+  const config = { timeout: ORDER_PLACE_TIMEOUT_MS, headers: key ? { 'Idempotency-Key': key } : {} };
+  let resent = false;
+  let waitUntil = null;
+  for (;;) {
+    try {
+      return await axios.post(`${ORDER_SERVICE_URL}/api/orders`, order, config);
+    } catch (error) {
+      if (isOrderInProgress(error)) {
+        waitUntil = waitUntil || Date.now() + ORDER_PLACE_TIMEOUT_MS;
+        if (Date.now() >= waitUntil) {
+          throw error;
+        }
+        const delay = (parseInt(error.response.headers['retry-after']) || 1) * 1000;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } else if (!error.response && key && !resent) {
+        resent = true;
+        log.warn(`Retrying order placement after: ${error.message}`);
+      } else {
+        throw error;
+      }
+    }
+  }
+};
+
 app.post('/orders/place', async (req, res) => {
   try {
     const userId = getUserId(req);
     const { name, email, address } = req.body;
+    const choice = getCheckoutChoice(req);
     
-    const response = await axios.post(`${ORDER_SERVICE_URL}/api/orders`, {
+    // expectedTotal is the total on the checkout page; order-service rejects
+    // the order if the cart now comes to a different amount
+    const order = {
       userId,
-      customer: { name, email, address }
-    });
+      customer: { name, email, address },
+      destination: { country: choice.country, region: choice.region },
+      shipping: choice.shipping,
+      expectedTotal: parseFloat(req.body.expectedTotal)
+    };
+    const response = await sendOrder(order, req.body.idempotencyKey);
     
     res.redirect(`/orders/confirmation/${response.data.id}`);
   } catch (error) {
     log.error(`Error placing order: ${error.message}`);
+    // The first request with the page's key has not finished, so it may still
+    // make the order
+    if (isOrderInProgress(error)) {
+      return res.redirect(`/orders/checkout?error=${encodeURIComponent('Your order is still being placed. Check your orders before placing it again.')}`);
+    }
+    // Rejections the shopper can fix, such as a coupon that no longer applies
+    // or a total that changed
+    if (error.response && [400, 409].includes(error.response.status)) {
+      return res.redirect(`/orders/checkout?error=${encodeURIComponent(error.response.data.error)}`);
+    }
     const userId = getUserId(req);
     const cartCount = await getCartCount(userId);
     res.status(500).render('layout', {
@@ -331,6 +848,94 @@ app.post('/orders/place', async (req, res) => {
   }
 });
 
+// Order cancellation. order-service lets shoppers cancel until an order
+// ships, restocks it and refunds it if it was paid.
+const CANCELLABLE_ORDER_STATUSES = ['Pending', 'Confirmed', 'Paid', 'Fulfilling'];
+const ORDER_CANCEL_REASONS = [
+  'Changed my mind',
+  'Ordered by mistake',
+  'Found a better price',
+  'Delivery takes too long',
+  'Other'
+];
+
+app.locals.canCancelOrder = (order) => CANCELLABLE_ORDER_STATUSES.includes(order.status);
+app.locals.cancelReasons = ORDER_CANCEL_REASONS;
+
+app.post('/orders/:id/cancel', async (req, res) => {
+  const returnTo = getLocalReturnPath(req.body.returnTo, `/orders/confirmation/${encodeURIComponent(req.params.id)}`);
+  try {
+    const reason = ORDER_CANCEL_REASONS.includes(req.body.reason) ? req.body.reason : 'Other';
+    await axios.post(`${ORDER_SERVICE_URL}/api/orders/${encodeURIComponent(req.params.id)}/cancel`, {
+      userId: getUserId(req),
+      reason
+    });
+    res.redirect(returnTo);
+  } catch (error) {
+    log.error(`Error cancelling order: ${error.message}`);
+    const message = (error.response && error.response.data && error.response.data.error) || 'Failed to cancel order';
+    res.redirect(`${returnTo}${returnTo.includes('?') ? '&' : '?'}error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Returns. order-service takes returns of delivered orders within its return
+// window and refunds them once the goods are back.
+const RETURN_REASONS = [
+  'Damaged or defective',
+  'Wrong item received',
+  'Does not fit',
+  'Not as described',
+  'No longer needed',
+  'Other'
+];
+
+app.locals.canReturnOrder = (order) => order.status === 'Delivered';
+
+app.get('/orders/:id/return', async (req, res) => {
+  const userId = getUserId(req);
+  const cartCount = await getCartCount(userId);
+  try {
+    const response = await axios.get(`${ORDER_SERVICE_URL}/api/orders/${encodeURIComponent(req.params.id)}/returns`, {
+      params: { userId }
+    });
+    res.render('layout', {
+      content: 'order-return',
+      orderReturns: response.data,
+      returnReasons: RETURN_REASONS,
+      error: req.query.error || null,
+      cartCount
+    });
+  } catch (error) {
+    log.error(`Error getting returns: ${error.message}`);
+    res.status(404).render('layout', {
+      content: 'error',
+      message: 'Order not found',
+      cartCount
+    });
+  }
+});
+
+app.post('/orders/:id/return', async (req, res) => {
+  const returnPath = `/orders/${encodeURIComponent(req.params.id)}/return`;
+  try {
+    const reason = RETURN_REASONS.includes(req.body.reason) ? req.body.reason : 'Other';
+    const photos = (req.body.photos || '').split(/\s+/).filter(Boolean);
+    await axios.post(`${ORDER_SERVICE_URL}/api/orders/${encodeURIComponent(req.params.id)}/returns`, {
+      userId: getUserId(req),
+      sku: req.body.sku,
+      quantity: parseInt(req.body.quantity),
+      reason,
+      ...(photos.length > 0 ? { photos } : {})
+    });
+    res.redirect(returnPath);
+  } catch (error) {
+    log.error(`Error requesting return: ${error.message}`);
+    const data = (error.response && error.response.data) || {};
+    const message = data.details ? data.details.join('; ') : (data.error || 'Failed to request return');
+    res.redirect(`${returnPath}?error=${encodeURIComponent(message)}`);
+  }
+});
+
 app.get('/orders/confirmation/:id', async (req, res) => {
   try {
     const userId = getUserId(req);
@@ -339,6 +944,7 @@ app.get('/orders/confirmation/:id', async (req, res) => {
     res.render('layout', { 
       content: 'order-confirmation',
       order: response.data,
+      error: req.query.error || null,
       cartCount
     });
   } catch (error) {
@@ -361,6 +967,7 @@ app.get('/orders', async (req, res) => {
     res.render('layout', { 
       content: 'orders',
       orders: response.data,
+      error: req.query.error || null,
       cartCount
     });
   } catch (error) {
@@ -370,6 +977,7 @@ app.get('/orders', async (req, res) => {
     res.render('layout', { 
       content: 'orders',
       orders: [],
+      error: null,
       cartCount
     });
   }
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { GetCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('./dynamodb');
+
+const IDEMPOTENCY_TABLE = process.env.IDEMPOTENCY_TABLE || 'shopmate-eks-idempotency-keys-dev';
+
+// Keys are dropped by the table's TTL once they expire
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// A request that died without answering holds its key this long, after
+// which the key can be used again
+const IDEMPOTENCY_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// The method, URL and body a key was first used with
+const fingerprint = (req) => crypto.createHash('sha256')
+  .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+// Take the key for this request. Resolves to true, or to false when the key
+// is held by an earlier request that has not expired.
+const claimKey = async (id, hash) => {
+  const now = nowSeconds();
+  try {
+    await dynamoDB.send(new PutCommand({
+      TableName: IDEMPOTENCY_TABLE,
+      Item: {
+        id,
+        fingerprint: hash,
+        status: 'in_progress',
+        lockedUntil: now + IDEMPOTENCY_LOCK_SECONDS,
+        createdAt: new Date().toISOString(),
+        expiresAt: now + IDEMPOTENCY_TTL_HOURS * 60 * 60
+      },
+      ConditionExpression: 'attribute_not_exists(id) OR expiresAt < :now OR (#status = :inProgress AND lockedUntil < :now)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':now': now, ':inProgress': 'in_progress' }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const completeKey = (id, statusCode, body) => dynamoDB.send(new UpdateCommand({
+  TableName: IDEMPOTENCY_TABLE,
+  Key: { id },
+  UpdateExpression: 'SET #status = :completed, statusCode = :statusCode, body = :body REMOVE lockedUntil',
+  ExpressionAttributeNames: { '#status': 'status' },
+  ExpressionAttributeValues: { ':completed': 'completed', ':statusCode': statusCode, ':body': body }
+}));
+
+const releaseKey = (id) => dynamoDB.send(new DeleteCommand({
+  TableName: IDEMPOTENCY_TABLE,
+  Key: { id }
+}));
+
+// Middleware honouring an Idempotency-Key header on a route. The first
+// request with a key runs the route; a successful (2xx) JSON response is
+// stored and sent again for every later request with the same key and body,
+// with Idempotent-Replayed: true. Reusing a key with a different body gets
+// 409, and so does reusing it while the first request is still running, with
+// Retry-After so the client can try again shortly. Other responses
+// release the key, so the request can be retried with it. Requests without
+// the header run as usual. scope keeps the keys of different routes apart.
+const idempotent = (scope, { log, onReplay = () => {} }) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 1 to 255 visible ASCII characters' });
+  }
+
+  const id = `${scope}:${key}`;
+  const hash = fingerprint(req);
+  try {
+    if (!(await claimKey(id, hash))) {
+      const result = await dynamoDB.send(new GetCommand({
+        TableName: IDEMPOTENCY_TABLE,
+        Key: { id },
+        ConsistentRead: true
+      }));
+      const record = result.Item;
+      if (record && record.fingerprint !== hash) {
+        return res.status(409).json({ error: 'Idempotency-Key was already used with a different request' });
+      }
+      if (!record || record.status !== 'completed') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress, please retry' });
+      }
+      onReplay();
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.body);
+    }
+  } catch (error) {
+    log.error(`Error checking Idempotency-Key ${id}: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to check Idempotency-Key' });
+  }
+
+  // Store the outcome before it is sent, so a retry arriving right after the
+  // response sees it. If storing fails the key stays locked until
+  // lockedUntil and the response is still sent.
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    const stored = res.statusCode >= 200 && res.statusCode < 300
+      ? completeKey(id, res.statusCode, body)
+      : releaseKey(id);
+    stored
+      .catch(error => log.error(`Error storing Idempotency-Key ${id}: ${error.message}`))
+      .finally(() => send(body));
+    return res;
+  };
+  next();
+};
+
+module.exports = {
+  idempotent
+};
\ No newline at end of file
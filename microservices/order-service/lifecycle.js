@@ -0,0 +1,71 @@
+// Order status lifecycle. New orders start Pending and move forward through
+// payment and delivery. Cancelled and Refunded end an order, except that a
+// cancelled order that was paid can still be refunded. Refunded is only
+// reached through a cancellation, which restocks the order and releases its
+// coupon; delivered items are refunded through returns instead. Shoppers can
+// cancel until their order ships; admins until it is delivered.
+const ORDER_STATUSES = ['Pending', 'Paid', 'Fulfilling', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'];
+
+const INITIAL_STATUS = 'Pending';
+
+// Orders placed before the lifecycle existed were stored as Confirmed; they
+// move on as if Pending
+const LEGACY_STATUSES = { Confirmed: 'Pending' };
+
+const TRANSITIONS = {
+  Pending: ['Paid', 'Cancelled'],
+  Paid: ['Fulfilling', 'Cancelled'],
+  Fulfilling: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered', 'Cancelled'],
+  Delivered: [],
+  Cancelled: ['Refunded'],
+  Refunded: []
+};
+
+const CUSTOMER_CANCELLABLE_STATUSES = ['Pending', 'Paid', 'Fulfilling'];
+
+const MAX_NOTE_LENGTH = 200;
+
+// The status history of an order, starting with the status it was placed
+// in. Orders stored before histories were kept get one made from their date.
+const getStatusHistory = (order) =>
+  order.statusHistory || [{ status: order.status, at: order.date }];
+
+const currentStatus = (order) => LEGACY_STATUSES[order.status] || order.status;
+
+const wasPaid = (order) => getStatusHistory(order).some(entry => entry.status === 'Paid');
+
+// The statuses an order can move to next
+const allowedTransitions = (order) => {
+  const status = currentStatus(order);
+  // Only an order that was paid has anything to refund
+  if (status === 'Cancelled' && !wasPaid(order)) {
+    return [];
+  }
+  return TRANSITIONS[status] || [];
+};
+
+const canCancel = (order, byAdmin) =>
+  byAdmin
+    ? allowedTransitions(order).includes('Cancelled')
+    : CUSTOMER_CANCELLABLE_STATUSES.includes(currentStatus(order));
+
+// The history entry for a status change; note is optional free text
+const buildHistoryEntry = (status, note) => {
+  const entry = { status, at: new Date().toISOString() };
+  if (note) {
+    entry.note = note;
+  }
+  return entry;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  INITIAL_STATUS,
+  MAX_NOTE_LENGTH,
+  getStatusHistory,
+  wasPaid,
+  allowedTransitions,
+  canCancel,
+  buildHistoryEntry
+};
\ No newline at end of file
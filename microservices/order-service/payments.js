@@ -0,0 +1,47 @@
+const axios = require('axios');
+const uuid = require('uuid');
+
+// Refunds go through a payment gateway chosen with PAYMENT_GATEWAY. Each
+// gateway exposes refund({ orderId, amount, reason }), which resolves to
+// { id } once the refund has been accepted and rejects when it was not.
+// Refunds of returns also carry the return's rma.
+
+// For environments without a payment provider: logs the refund and accepts it
+const createLogGateway = () => ({
+  name: 'log',
+  refund: async (refund) => {
+    const id = `refund-${uuid.v4()}`;
+    console.log(`[REFUND] ${new Date().toISOString()} - ${JSON.stringify({ id, ...refund })}`);
+    return { id };
+  }
+});
+
+// POSTs each refund as JSON to PAYMENT_REFUND_URL, which answers with the
+// provider's refund id
+const createWebhookGateway = (url, timeoutMs) => ({
+  name: 'webhook',
+  refund: async (refund) => {
+    const response = await axios.post(url, refund, { timeout: timeoutMs });
+    return { id: (response.data && response.data.id) || null };
+  }
+});
+
+const createPaymentGateway = (env = process.env) => {
+  const type = env.PAYMENT_GATEWAY || 'log';
+  if (type === 'webhook') {
+    if (!env.PAYMENT_REFUND_URL) {
+      throw new Error('PAYMENT_REFUND_URL is required when PAYMENT_GATEWAY=webhook');
+    }
+    return createWebhookGateway(env.PAYMENT_REFUND_URL, parseInt(env.PAYMENT_TIMEOUT_MS) || 10000);
+  }
+  if (type === 'log') {
+    return createLogGateway();
+  }
+  throw new Error(`Unknown PAYMENT_GATEWAY "${type}", expected log or webhook`);
+};
+
+module.exports = {
+  createPaymentGateway,
+  createLogGateway,
+  createWebhookGateway
+};
\ No newline at end of file
@@ -0,0 +1,131 @@
+const { ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB, ORDERS_TABLE } = require('./dynamodb');
+
+// Products kept per product in the co-purchase lists, and in the best-seller
+// list. Callers drop archived and out-of-stock products, so both are longer
+// than a carousel.
+const MAX_RELATED = 20;
+const MAX_BEST_SELLERS = 50;
+
+const emptyModel = () => ({
+  related: new Map(),
+  bestSellers: [],
+  orderCount: 0,
+  builtAt: null
+});
+
+// Map entries as [key, count], highest count first and ties by key so every
+// replica builds the same lists
+const rankCounts = (counts, limit) =>
+  [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]).slice(0, limit);
+
+// Co-purchase model over every stored order that was not cancelled. For each
+// product, related lists the other products bought in the same orders, ranked
+// by how many orders they share. bestSellers ranks products by units sold and
+// covers products (and shoppers) with no co-purchases yet.
+const buildModel = async () => {
+  const pairCounts = new Map();
+  const unitsSold = new Map();
+  let orderCount = 0;
+  let startKey;
+
+  do {
+    const result = await dynamoDB.send(new ScanCommand({
+      TableName: ORDERS_TABLE,
+      ProjectionExpression: '#items, cancellation',
+      ExpressionAttributeNames: { '#items': 'items' },
+      ExclusiveStartKey: startKey
+    }));
+
+    for (const order of result.Items || []) {
+      if (order.cancellation) {
+        continue;
+      }
+      const lines = (order.items || []).filter(item => item.product && item.product.id !== undefined);
+      for (const item of lines) {
+        unitsSold.set(item.product.id, (unitsSold.get(item.product.id) || 0) + (item.quantity || 1));
+      }
+
+      // Several SKUs of one product count as one purchase of it
+      const productIds = [...new Set(lines.map(item => item.product.id))];
+      for (const productId of productIds) {
+        if (!pairCounts.has(productId)) {
+          pairCounts.set(productId, new Map());
+        }
+        const counts = pairCounts.get(productId);
+        for (const otherId of productIds) {
+          if (otherId !== productId) {
+            counts.set(otherId, (counts.get(otherId) || 0) + 1);
+          }
+        }
+      }
+      orderCount++;
+    }
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  const related = new Map();
+  for (const [productId, counts] of pairCounts) {
+    if (counts.size > 0) {
+      related.set(productId, rankCounts(counts, MAX_RELATED).map(([id, orders]) => ({ productId: id, orders })));
+    }
+  }
+
+  return {
+    related,
+    bestSellers: rankCounts(unitsSold, MAX_BEST_SELLERS).map(([productId]) => productId),
+    orderCount,
+    builtAt: new Date().toISOString()
+  };
+};
+
+// Up to limit ids: the related ones first, then best-sellers, leaving out
+// anything in exclude. source is co_purchase when any related id was used.
+const withBestSellers = (model, relatedIds, exclude, limit) => {
+  const productIds = relatedIds.filter(id => !exclude.has(id)).slice(0, limit);
+  const source = productIds.length > 0 ? 'co_purchase' : 'best_sellers';
+  const seen = new Set([...exclude, ...productIds]);
+  for (const id of model.bestSellers) {
+    if (productIds.length >= limit) {
+      break;
+    }
+    if (!seen.has(id)) {
+      productIds.push(id);
+      seen.add(id);
+    }
+  }
+  return { productIds, source };
+};
+
+// Products most often bought together with the given one
+const recommendForProduct = (model, productId, limit) =>
+  withBestSellers(
+    model,
+    (model.related.get(productId) || []).map(entry => entry.productId),
+    new Set([productId]),
+    limit
+  );
+
+// Products most often bought together with any of the shopper's products,
+// scored by the orders they share summed over all of them. The shopper's own
+// products are never recommended back.
+const recommendForShopper = (model, ownedIds, limit) => {
+  const exclude = new Set(ownedIds);
+  const scores = new Map();
+  for (const ownedId of exclude) {
+    for (const { productId, orders } of model.related.get(ownedId) || []) {
+      if (!exclude.has(productId)) {
+        scores.set(productId, (scores.get(productId) || 0) + orders);
+      }
+    }
+  }
+  const relatedIds = rankCounts(scores, MAX_RELATED).map(([productId]) => productId);
+  return withBestSellers(model, relatedIds, exclude, limit);
+};
+
+module.exports = {
+  emptyModel,
+  buildModel,
+  recommendForProduct,
+  recommendForShopper
+};
\ No newline at end of file
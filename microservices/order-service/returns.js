@@ -0,0 +1,115 @@
+const uuid = require('uuid');
+
+// Returns (RMAs) of delivered order lines. Each return covers one line and is
+// kept on its order, so the quantity left to return is checked against the
+// same record it is written to. A return is requested by the shopper,
+// approved or rejected by an admin, and received when the goods arrive back,
+// which restocks them and refunds the line's share of itemTotal.
+const RETURN_STATUSES = ['Requested', 'Approved', 'Rejected', 'Received', 'Refunded'];
+
+// Received moves on to Refunded by itself once the refund goes through; an
+// admin moves it there after settling a refund the gateway turned down
+const RETURN_TRANSITIONS = {
+  Requested: ['Approved', 'Rejected'],
+  Approved: ['Received'],
+  Received: ['Refunded'],
+  Rejected: [],
+  Refunded: []
+};
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+const MAX_RETURN_PHOTOS = 5;
+const MAX_REASON_LENGTH = 200;
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// RMA numbers are short enough to read out over the phone
+const generateRmaNumber = () => `RMA-${uuid.v4().replace(/-/g, '').slice(0, 10).toUpperCase()}`;
+
+// Same prefix product-service gives the SKU of a product without variants
+const BASE_SKU_PREFIX = 'PRD-';
+
+// The SKU an order line is returned under. Lines of orders placed before
+// SKUs were stored on them have no variant and use their product's base SKU.
+const getLineSku = (item) => (item.variant ? item.variant.sku : `${BASE_SKU_PREFIX}${item.product.id}`);
+
+const findOrderLine = (order, sku) =>
+  order.items.find(item => getLineSku(item) === sku);
+
+// Units of a SKU still open to a return: bought, less those in returns that
+// were not rejected
+const returnableQuantity = (order, sku) => {
+  const line = findOrderLine(order, sku);
+  if (!line) {
+    return 0;
+  }
+  const returned = (order.returns || [])
+    .filter(entry => entry.sku === sku && entry.status !== 'Rejected')
+    .reduce((sum, entry) => sum + entry.quantity, 0);
+  return Math.max(line.quantity - returned, 0);
+};
+
+// When a delivered order stops taking returns, or null if it is not delivered
+const returnDeadline = (order) => {
+  const delivered = (order.statusHistory || []).find(entry => entry.status === 'Delivered');
+  if (order.status !== 'Delivered' || !delivered) {
+    return null;
+  }
+  return new Date(new Date(delivered.at).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// The problems with a return request body, as a list of messages
+const validateReturnRequest = ({ sku, quantity, reason, photos }) => {
+  const errors = [];
+  if (typeof sku !== 'string' || sku === '') {
+    errors.push('sku is required');
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    errors.push('quantity must be a positive integer');
+  }
+  if (typeof reason !== 'string' || reason.trim() === '' || reason.length > MAX_REASON_LENGTH) {
+    errors.push(`reason is required, at most ${MAX_REASON_LENGTH} characters`);
+  }
+  if (photos !== undefined) {
+    const valid = Array.isArray(photos) && photos.length <= MAX_RETURN_PHOTOS &&
+      photos.every(photo => typeof photo === 'string' && /^https?:\/\/\S+$/.test(photo));
+    if (!valid) {
+      errors.push(`photos must be a list of up to ${MAX_RETURN_PHOTOS} http(s) URLs`);
+    }
+  }
+  return errors;
+};
+
+// The refund for returning quantity units of an order line: its share of
+// the line's itemTotal
+const computeRefund = (line, quantity) => roundPrice(line.itemTotal * quantity / line.quantity);
+
+// A new return of an order line, waiting for approval
+const buildReturn = (order, { sku, quantity, reason, photos }) => {
+  const line = findOrderLine(order, sku);
+  const now = new Date().toISOString();
+  return {
+    rma: generateRmaNumber(),
+    sku,
+    productId: line.product.id,
+    quantity,
+    reason,
+    photos: photos || [],
+    refundAmount: computeRefund(line, quantity),
+    status: 'Requested',
+    statusHistory: [{ status: 'Requested', at: now }],
+    requestedAt: now
+  };
+};
+
+module.exports = {
+  RETURN_STATUSES,
+  RETURN_TRANSITIONS,
+  RETURN_WINDOW_DAYS,
+  getLineSku,
+  findOrderLine,
+  returnableQuantity,
+  returnDeadline,
+  validateReturnRequest,
+  buildReturn
+};
\ No newline at end of file
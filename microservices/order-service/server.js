@@ -4,7 +4,12 @@ const axios = require('axios');
 const uuid = require('uuid');
 const promClient = require('prom-client');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, PutCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const recommendations = require('./recommendations');
+const lifecycle = require('./lifecycle');
+const returns = require('./returns');
+const { createPaymentGateway } = require('./payments');
+const { idempotent } = require('./idempotency');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
@@ -27,6 +32,40 @@ const orderValue = new promClient.Counter({
   help: 'Total order value'
 });
 
+const statusTransitions = new promClient.Counter({
+  name: 'order_service_status_transitions_total',
+  help: 'Total order status changes',
+  labelNames: ['from', 'to']
+});
+
+const ordersCancelled = new promClient.Counter({
+  name: 'order_service_orders_cancelled_total',
+  help: 'Total orders cancelled',
+  labelNames: ['by']
+});
+
+const refundsIssued = new promClient.Counter({
+  name: 'order_service_refunds_total',
+  help: 'Total refunds requested from the payment gateway',
+  labelNames: ['result']
+});
+
+const idempotentReplays = new promClient.Counter({
+  name: 'order_service_idempotent_replays_total',
+  help: 'Total order requests answered from a stored Idempotency-Key response'
+});
+
+const cartClearFailures = new promClient.Counter({
+  name: 'order_service_cart_clear_failures_total',
+  help: 'Total placed orders whose cart could not be cleared'
+});
+
+const returnsCounter = new promClient.Counter({
+  name: 'order_service_returns_total',
+  help: 'Total returns entering each status',
+  labelNames: ['status']
+});
+
 app.use(express.json());
 
 // Logging helper
@@ -49,6 +88,20 @@ app.use((req, res, next) => {
   next();
 });
 
+// Admin authentication for order management routes
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_API_TOKEN) {
+    log.warn(`${req.method} ${req.path} - Rejected, ADMIN_API_TOKEN is not configured`);
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+  if (req.get('X-Admin-Token') !== ADMIN_API_TOKEN) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+};
+
 // DynamoDB setup
 const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
 const docClient = DynamoDBDocumentClient.from(client);
@@ -56,63 +109,192 @@ const ORDERS_TABLE = process.env.ORDERS_TABLE || 'shopmate-eks-orders-dev';
 
 const BASE_URL = process.env.BASE_URL || 'https://shopmate-eks.dev.sctp-sandbox.com';
 const PRODUCT_SERVICE_URL = process.env.PRODUCT_SERVICE_URL || BASE_URL;
+// Sent on product-service's stock and coupon redemption routes, which only
+// accept calls from services holding SERVICE_API_TOKEN
+const SERVICE_AUTH = { headers: { 'X-Service-Token': process.env.SERVICE_API_TOKEN || '' } };
 const CART_SERVICE_URL = process.env.CART_SERVICE_URL || BASE_URL;
 
-// Create order
-app.post('/api/orders', async (req, res) => {
+// Refunds for cancelled orders and returns (PAYMENT_GATEWAY=log|webhook)
+const paymentGateway = createPaymentGateway();
+
+// Ledger failures must not undo a saved order, so they are only logged
+const commitStock = async (item, orderId) => {
+  try {
+    await axios.post(`${PRODUCT_SERVICE_URL}/api/products/${item.productId}/commit`, {
+      sku: item.sku,
+      quantity: item.quantity,
+      reason: 'order',
+      source: 'order-service',
+      reference: orderId
+    }, SERVICE_AUTH);
+  } catch (error) {
+    log.error(`Failed to record sale of ${item.quantity} x ${item.sku} for order ${orderId}: ${error.message}`);
+  }
+};
+
+// Empty the cart of a placed order. The order is saved by then, so a failure
+// must not fail the request; it is logged and counted instead, since the
+// cart's lines would otherwise hand their sold stock back when their holds
+// expire. The order id lets cart-service count an abandoned cart as recovered.
+const clearCart = async (userId, orderId) => {
+  try {
+    await axios.delete(`${CART_SERVICE_URL}/api/cart/${userId}`, { params: { orderId } });
+  } catch (error) {
+    cartClearFailures.inc();
+    log.error(`Failed to clear cart ${userId} after order ${orderId}, empty it before its holds expire: ${error.message}`);
+  }
+};
+
+// Put goods from a cancelled order or a return back in stock; only logged on
+// failure. reference is the order id or RMA number for the stock ledger.
+const restockItem = async ({ productId, sku, quantity }, reason, reference) => {
   try {
-    const { userId, customer } = req.body;
+    await axios.post(`${PRODUCT_SERVICE_URL}/api/products/${productId}/release`, {
+      sku,
+      quantity,
+      reason,
+      source: 'order-service',
+      reference
+    }, SERVICE_AUTH);
+  } catch (error) {
+    log.error(`Failed to restock ${quantity} x ${sku || productId} for ${reference}: ${error.message}`);
+  }
+};
+
+// Use the cart's coupon for this order. Resolves to the discount lines, or
+// to { error } when the code no longer applies.
+const redeemCoupon = async (code, userId, cartItems) => {
+  try {
+    const response = await axios.post(`${PRODUCT_SERVICE_URL}/api/coupons/${encodeURIComponent(code)}/redeem`, {
+      userId,
+      items: cartItems.map(({ productId, sku, quantity }) => ({ productId, sku, quantity }))
+    }, SERVICE_AUTH);
+    return response.data;
+  } catch (error) {
+    if (error.response && [404, 409].includes(error.response.status)) {
+      return { error: error.response.data.error };
+    }
+    throw error;
+  }
+};
+
+// Hand a redemption back when its order could not be saved or was cancelled;
+// only logged on failure
+const releaseCoupon = async (code, userId) => {
+  try {
+    await axios.post(`${PRODUCT_SERVICE_URL}/api/coupons/${encodeURIComponent(code)}/release`, { userId }, SERVICE_AUTH);
+  } catch (error) {
+    log.error(`Failed to release coupon ${code} for ${userId}: ${error.message}`);
+  }
+};
+
+// Create order. With an Idempotency-Key header, a retried or repeated
+// request gets the order the first one created instead of a second order.
+app.post('/api/orders', idempotent('orders', { log, onReplay: () => idempotentReplays.inc() }), async (req, res) => {
+  try {
+    const { userId, customer, destination = {}, shipping, expectedTotal } = req.body;
     
-    // Get cart items
-    const cartResponse = await axios.get(`${CART_SERVICE_URL}/api/cart/${userId}`);
-    const cartItems = cartResponse.data;
+    // Price the cart with the same cart-service summary the shopper saw at
+    // checkout: lines, discounts, shipping and tax for their destination
+    let summary;
+    try {
+      const summaryResponse = await axios.get(`${CART_SERVICE_URL}/api/cart/${userId}/summary`, {
+        params: { country: destination.country, region: destination.region, shipping }
+      });
+      summary = summaryResponse.data;
+    } catch (error) {
+      if (error.response && error.response.status === 400) {
+        return res.status(400).json(error.response.data);
+      }
+      throw error;
+    }
     
-    if (cartItems.length === 0) {
+    if (summary.lines.length === 0 && summary.missing.length === 0) {
       return res.status(400).json({ error: 'Cart is empty' });
     }
+    if (summary.missing.length > 0) {
+      return res.status(409).json({ error: 'Some products in the cart no longer exist', missing: summary.missing });
+    }
+    if (summary.coupon && summary.coupon.error) {
+      return res.status(409).json({ error: summary.coupon.error, coupon: summary.coupon.code });
+    }
+    // The shopper agreed to a total; if a price or the coupon moved since,
+    // they see the new one before paying it
+    if (typeof expectedTotal === 'number' && expectedTotal !== summary.total) {
+      return res.status(409).json({
+        error: `Your order total is now $${summary.total.toFixed(2)}, please review it and place your order again`,
+        total: summary.total
+      });
+    }
     
-    // Calculate total and get product details
-    let total = 0;
-    const orderItems = [];
+    const orderItems = summary.lines.map(line => ({
+      product: {
+        id: line.productId,
+        name: line.name,
+        price: line.unitPrice,
+        // Kept so the order shows the saving and which sale it came from
+        ...(line.unitPrice < line.regularPrice ? { regularPrice: line.regularPrice, promotionId: line.promotionId } : {})
+      },
+      // The SKU and chosen options, so the order still describes what was
+      // bought if the variant is later changed or removed
+      variant: {
+        sku: line.sku,
+        options: line.options
+      },
+      quantity: line.quantity,
+      itemTotal: line.lineTotal
+    }));
     
-    for (const item of cartItems) {
-      const productResponse = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${item.productId}`);
-      const product = productResponse.data;
-      
-      const itemTotal = product.price * item.quantity;
-      total += itemTotal;
-      
-      orderItems.push({
-        product: {
-          id: product.id,
-          name: product.name,
-          price: product.price
-        },
-        quantity: item.quantity,
-        itemTotal
-      });
+    // A coupon applied to the cart is used up here; redeeming checks its
+    // usage limits once more. The order keeps its discount lines, so it reads
+    // the same if the coupon is later changed or deactivated.
+    const couponCode = summary.coupon ? summary.coupon.code : null;
+    if (couponCode) {
+      const redemption = await redeemCoupon(couponCode, userId, summary.lines);
+      if (redemption.error) {
+        return res.status(409).json({ error: redemption.error, coupon: couponCode });
+      }
     }
     
     // Create order
     const orderId = uuid.v4();
+    const { total } = summary;
+    const date = new Date().toISOString();
     const order = {
       id: orderId,
       userId,
-      date: new Date().toISOString(),
+      date,
       customer,
+      destination: summary.destination,
       items: orderItems,
+      subtotal: summary.subtotal,
+      discounts: summary.discounts,
+      shipping: summary.shipping,
+      tax: summary.tax,
       total,
-      status: 'Confirmed'
+      status: lifecycle.INITIAL_STATUS,
+      statusHistory: [{ status: lifecycle.INITIAL_STATUS, at: date }]
     };
     
     // Save order
-    await docClient.send(new PutCommand({
-      TableName: ORDERS_TABLE,
-      Item: order
-    }));
+    try {
+      await docClient.send(new PutCommand({
+        TableName: ORDERS_TABLE,
+        Item: order
+      }));
+    } catch (error) {
+      if (couponCode) {
+        await releaseCoupon(couponCode, userId);
+      }
+      throw error;
+    }
     
-    // Clear cart
-    await axios.delete(`${CART_SERVICE_URL}/api/cart/${userId}`);
+    // The cart's reservations are now sold; record that in the stock ledger
+    for (const line of summary.lines) {
+      await commitStock(line, orderId);
+    }
+    
+    await clearCart(userId, orderId);
     
     ordersCreated.inc();
     orderValue.inc(total);
@@ -142,24 +324,523 @@ app.get('/api/orders/:id', async (req, res) => {
   }
 });
 
-// Get orders by user
-app.get('/api/orders/user/:userId', async (req, res) => {
+// Move an order to a new status (admin), e.g. from the payment provider or
+// the warehouse. Only the moves in the lifecycle are allowed, and the write
+// is conditional on the status that was read, so two changes racing cannot
+// both apply.
+app.post('/api/orders/:id/transitions', requireAdmin, async (req, res) => {
+  const { status, note } = req.body || {};
+
+  if (!lifecycle.ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${lifecycle.ORDER_STATUSES.join(', ')}` });
+  }
+  if (status === 'Cancelled') {
+    return res.status(400).json({ error: 'Use POST /api/orders/:id/cancel, which restocks and refunds the order' });
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.length > lifecycle.MAX_NOTE_LENGTH)) {
+    return res.status(400).json({ error: `note must be a string of at most ${lifecycle.MAX_NOTE_LENGTH} characters` });
+  }
+
   try {
+    const result = await docClient.send(new GetCommand({
+      TableName: ORDERS_TABLE,
+      Key: { id: req.params.id },
+      ConsistentRead: true
+    }));
+    const order = result.Item;
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const allowed = lifecycle.allowedTransitions(order);
+    if (!allowed.includes(status)) {
+      return res.status(409).json({ error: `Cannot move an order from ${order.status} to ${status}`, allowed });
+    }
+
+    const statusHistory = [...lifecycle.getStatusHistory(order), lifecycle.buildHistoryEntry(status, note)];
+    const updated = await docClient.send(new UpdateCommand({
+      TableName: ORDERS_TABLE,
+      Key: { id: order.id },
+      UpdateExpression: 'SET #status = :status, statusHistory = :statusHistory',
+      ConditionExpression: '#status = :from',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':status': status, ':statusHistory': statusHistory, ':from': order.status },
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    statusTransitions.inc({ from: order.status, to: status });
+    log.info(`Order ${order.id} moved from ${order.status} to ${status}`);
+    res.json(updated.Attributes);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Order status changed concurrently, please retry' });
+    }
+    log.error(`Error changing order status: ${error.message}`);
+    res.status(500).json({ error: 'Failed to change order status' });
+  }
+});
+
+// Refund a cancelled order through the payment gateway and mark it Refunded.
+// A refund the gateway turns down is recorded on the order as failed, for an
+// admin to settle and then move the order to Refunded.
+const refundOrder = async (order, reason) => {
+  const amount = order.total;
+  let refund;
+  try {
+    const result = await paymentGateway.refund({ orderId: order.id, amount, reason });
+    refund = { id: result.id, amount, status: 'succeeded', at: new Date().toISOString() };
+    refundsIssued.inc({ result: 'succeeded' });
+  } catch (error) {
+    log.error(`Refund of order ${order.id} failed: ${error.message}`);
+    refundsIssued.inc({ result: 'failed' });
+    const failed = await docClient.send(new UpdateCommand({
+      TableName: ORDERS_TABLE,
+      Key: { id: order.id },
+      UpdateExpression: 'SET refund = :refund',
+      ExpressionAttributeValues: { ':refund': { amount, status: 'failed', at: new Date().toISOString() } },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return failed.Attributes;
+  }
+
+  const note = refund.id ? `Refund ${refund.id}` : undefined;
+  const refunded = await docClient.send(new UpdateCommand({
+    TableName: ORDERS_TABLE,
+    Key: { id: order.id },
+    UpdateExpression: 'SET #status = :status, statusHistory = :statusHistory, refund = :refund',
+    ConditionExpression: '#status = :from',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':status': 'Refunded',
+      ':statusHistory': [...order.statusHistory, lifecycle.buildHistoryEntry('Refunded', note)],
+      ':refund': refund,
+      ':from': 'Cancelled'
+    },
+    ReturnValues: 'ALL_NEW'
+  }));
+  statusTransitions.inc({ from: 'Cancelled', to: 'Refunded' });
+  return refunded.Attributes;
+};
+
+// Cancel an order. Shoppers pass their userId and can cancel until the order
+// ships; admins (X-Admin-Token) can cancel until it is delivered. The status
+// is written first, on condition that it has not changed, so the stock,
+// coupon and payment are handed back only once. A paid order is refunded.
+app.post('/api/orders/:id/cancel', async (req, res) => {
+  const { userId, reason } = req.body || {};
+  const adminToken = req.get('X-Admin-Token');
+  const byAdmin = adminToken !== undefined;
+
+  if (byAdmin && (!ADMIN_API_TOKEN || adminToken !== ADMIN_API_TOKEN)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  if (typeof reason !== 'string' || reason.trim() === '' || reason.length > lifecycle.MAX_NOTE_LENGTH) {
+    return res.status(400).json({ error: `reason is required, at most ${lifecycle.MAX_NOTE_LENGTH} characters` });
+  }
+  if (!byAdmin && (typeof userId !== 'string' || userId === '')) {
+    return res.status(400).json({ error: 'userId is required' });
+  }
+
+  try {
+    const result = await docClient.send(new GetCommand({
+      TableName: ORDERS_TABLE,
+      Key: { id: req.params.id },
+      ConsistentRead: true
+    }));
+    const order = result.Item;
+    // Another shopper's order is reported as missing
+    if (!order || (!byAdmin && order.userId !== userId)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!lifecycle.canCancel(order, byAdmin)) {
+      return res.status(409).json({
+        error: byAdmin ? `Cannot cancel an order that is ${order.status}` : 'Orders can only be cancelled before they ship'
+      });
+    }
+
+    const by = byAdmin ? 'admin' : 'customer';
+    const now = new Date().toISOString();
+    const updated = await docClient.send(new UpdateCommand({
+      TableName: ORDERS_TABLE,
+      Key: { id: order.id },
+      UpdateExpression: 'SET #status = :status, statusHistory = :statusHistory, cancellation = :cancellation',
+      ConditionExpression: '#status = :from',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':status': 'Cancelled',
+        ':statusHistory': [...lifecycle.getStatusHistory(order), lifecycle.buildHistoryEntry('Cancelled', reason)],
+        ':cancellation': { reason, by, at: now },
+        ':from': order.status
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    statusTransitions.inc({ from: order.status, to: 'Cancelled' });
+    ordersCancelled.inc({ by });
+    log.info(`Order ${order.id} cancelled by ${by}: ${reason}`);
+
+    for (const item of order.items) {
+      const line = { productId: item.product.id, sku: item.variant ? item.variant.sku : undefined, quantity: item.quantity };
+      await restockItem(line, 'order_cancelled', order.id);
+    }
+    const couponCodes = [...new Set((order.discounts || []).map(discount => discount.code))];
+    for (const code of couponCodes) {
+      await releaseCoupon(code, order.userId);
+    }
+
+    const cancelled = lifecycle.wasPaid(order) ? await refundOrder(updated.Attributes, reason) : updated.Attributes;
+    res.json(cancelled);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Order status changed concurrently, please retry' });
+    }
+    log.error(`Error cancelling order: ${error.message}`);
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
+});
+
+// Write a new value for the return at index of an order, on condition that
+// it is still the same RMA in the status that was read
+const writeReturn = async (orderId, index, from, updated) => {
+  const result = await docClient.send(new UpdateCommand({
+    TableName: ORDERS_TABLE,
+    Key: { id: orderId },
+    UpdateExpression: `SET #returns[${index}] = :return`,
+    ConditionExpression: `#returns[${index}].rma = :rma AND #returns[${index}].#status = :from`,
+    ExpressionAttributeNames: { '#returns': 'returns', '#status': 'status' },
+    ExpressionAttributeValues: { ':return': updated, ':rma': updated.rma, ':from': from },
+    ReturnValues: 'ALL_NEW'
+  }));
+  returnsCounter.inc({ status: updated.status });
+  return result.Attributes;
+};
+
+const moveReturn = (entry, status, note) => ({
+  ...entry,
+  status,
+  statusHistory: [...entry.statusHistory, lifecycle.buildHistoryEntry(status, note)]
+});
+
+// Refund a received return through the payment gateway and mark it Refunded.
+// A refund the gateway turns down is recorded on the return as failed, for
+// an admin to settle and then move the return to Refunded.
+const refundReturn = async (orderId, index, entry) => {
+  let refund;
+  try {
+    const result = await paymentGateway.refund({ orderId, rma: entry.rma, amount: entry.refundAmount, reason: entry.reason });
+    refund = { id: result.id, amount: entry.refundAmount, status: 'succeeded', at: new Date().toISOString() };
+    refundsIssued.inc({ result: 'succeeded' });
+  } catch (error) {
+    log.error(`Refund of return ${entry.rma} failed: ${error.message}`);
+    refundsIssued.inc({ result: 'failed' });
+    const failed = { ...entry, refund: { amount: entry.refundAmount, status: 'failed', at: new Date().toISOString() } };
+    const result = await docClient.send(new UpdateCommand({
+      TableName: ORDERS_TABLE,
+      Key: { id: orderId },
+      UpdateExpression: `SET #returns[${index}] = :return`,
+      ConditionExpression: `#returns[${index}].rma = :rma`,
+      ExpressionAttributeNames: { '#returns': 'returns' },
+      ExpressionAttributeValues: { ':return': failed, ':rma': entry.rma },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return result.Attributes;
+  }
+
+  const refunded = { ...moveReturn(entry, 'Refunded', refund.id ? `Refund ${refund.id}` : undefined), refund };
+  return writeReturn(orderId, index, 'Received', refunded);
+};
+
+// The returns of an order and what is left to return, for the shopper's
+// returns page. returnBy is null when the order is not delivered.
+app.get('/api/orders/:id/returns', async (req, res) => {
+  try {
+    const result = await docClient.send(new GetCommand({
+      TableName: ORDERS_TABLE,
+      Key: { id: req.params.id }
+    }));
+    const order = result.Item;
+    if (!order || (req.query.userId && order.userId !== req.query.userId)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const deadline = returns.returnDeadline(order);
+    res.json({
+      orderId: order.id,
+      status: order.status,
+      returnBy: deadline ? deadline.toISOString() : null,
+      open: deadline !== null && Date.now() <= deadline.getTime(),
+      lines: order.items.map(item => ({
+        sku: returns.getLineSku(item),
+        productId: item.product.id,
+        name: item.product.name,
+        options: item.variant ? item.variant.options : {},
+        quantity: item.quantity,
+        itemTotal: item.itemTotal,
+        returnable: returns.returnableQuantity(order, returns.getLineSku(item))
+      })),
+      returns: order.returns || []
+    });
+  } catch (error) {
+    log.error(`Error getting returns: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get returns' });
+  }
+});
+
+// Request a return of a delivered order line (shopper). The return is
+// appended on condition that the order's returns are unchanged since they
+// were read, so two requests cannot both take the last returnable unit.
+app.post('/api/orders/:id/returns', async (req, res) => {
+  const { userId, sku, quantity, reason, photos } = req.body || {};
+  const errors = returns.validateReturnRequest({ sku, quantity, reason, photos });
+  if (typeof userId !== 'string' || userId === '') {
+    errors.unshift('userId is required');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid return request', details: errors });
+  }
+
+  try {
+    const result = await docClient.send(new GetCommand({
+      TableName: ORDERS_TABLE,
+      Key: { id: req.params.id },
+      ConsistentRead: true
+    }));
+    const order = result.Item;
+    if (!order || order.userId !== userId) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const deadline = returns.returnDeadline(order);
+    if (!deadline) {
+      return res.status(409).json({ error: 'Only delivered orders can be returned' });
+    }
+    if (Date.now() > deadline.getTime()) {
+      return res.status(409).json({ error: `The return window for this order closed on ${deadline.toISOString().slice(0, 10)}` });
+    }
+    if (!returns.findOrderLine(order, sku)) {
+      return res.status(400).json({ error: 'Invalid return request', details: [`sku ${sku} is not in this order`] });
+    }
+    const available = returns.returnableQuantity(order, sku);
+    if (quantity > available) {
+      return res.status(409).json({ error: `Only ${available} of this item can be returned`, available });
+    }
+
+    const entry = returns.buildReturn(order, { sku, quantity, reason, photos });
+    const existing = order.returns || [];
+    await docClient.send(new UpdateCommand({
+      TableName: ORDERS_TABLE,
+      Key: { id: order.id },
+      UpdateExpression: 'SET #returns = :returns',
+      ConditionExpression: existing.length > 0
+        ? '#status = :delivered AND size(#returns) = :count'
+        : '#status = :delivered AND attribute_not_exists(#returns)',
+      ExpressionAttributeNames: { '#returns': 'returns', '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':returns': [...existing, entry],
+        ':delivered': 'Delivered',
+        ...(existing.length > 0 ? { ':count': existing.length } : {})
+      }
+    }));
+
+    returnsCounter.inc({ status: 'Requested' });
+    log.info(`Return ${entry.rma} requested for ${quantity} x ${sku} of order ${order.id}`);
+    res.status(201).json(entry);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Order changed concurrently, please retry' });
+    }
+    log.error(`Error requesting return: ${error.message}`);
+    res.status(500).json({ error: 'Failed to request return' });
+  }
+});
+
+// Move a return on (admin): approve or reject a request, or record that the
+// goods arrived back. Receiving restocks them and refunds the return.
+app.post('/api/orders/:id/returns/:rma/transitions', requireAdmin, async (req, res) => {
+  const { status, note } = req.body || {};
+
+  if (!returns.RETURN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${returns.RETURN_STATUSES.join(', ')}` });
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.length > lifecycle.MAX_NOTE_LENGTH)) {
+    return res.status(400).json({ error: `note must be a string of at most ${lifecycle.MAX_NOTE_LENGTH} characters` });
+  }
+
+  try {
+    const result = await docClient.send(new GetCommand({
+      TableName: ORDERS_TABLE,
+      Key: { id: req.params.id },
+      ConsistentRead: true
+    }));
+    const order = result.Item;
+    const index = order && order.returns ? order.returns.findIndex(entry => entry.rma === req.params.rma) : -1;
+    if (index === -1) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    const entry = order.returns[index];
+    const allowed = returns.RETURN_TRANSITIONS[entry.status];
+    if (!allowed.includes(status)) {
+      return res.status(409).json({ error: `Cannot move a return from ${entry.status} to ${status}`, allowed });
+    }
+
+    let updated = await writeReturn(order.id, index, entry.status, moveReturn(entry, status, note));
+    log.info(`Return ${entry.rma} moved from ${entry.status} to ${status}`);
+
+    // The return is marked Received before the goods are restocked, so they
+    // are put back only once
+    if (status === 'Received') {
+      await restockItem(entry, 'order_returned', entry.rma);
+      updated = await refundReturn(order.id, index, updated.returns[index]);
+    }
+
+    res.json(updated.returns[index]);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Return changed concurrently, please retry' });
+    }
+    log.error(`Error changing return status: ${error.message}`);
+    res.status(500).json({ error: 'Failed to change return status' });
+  }
+});
+
+// Every order of a shopper. The filter applies per scan page, so all pages
+// are read.
+const getOrdersByUser = async (userId) => {
+  const orders = [];
+  let startKey;
+  do {
     const result = await docClient.send(new ScanCommand({
       TableName: ORDERS_TABLE,
       FilterExpression: 'userId = :userId',
       ExpressionAttributeValues: {
-        ':userId': req.params.userId
-      }
+        ':userId': userId
+      },
+      ExclusiveStartKey: startKey
     }));
-    
-    res.json(result.Items || []);
+    orders.push(...(result.Items || []));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return orders;
+};
+
+// Get orders by user
+app.get('/api/orders/user/:userId', async (req, res) => {
+  try {
+    res.json(await getOrdersByUser(req.params.userId));
   } catch (error) {
     log.error(`Error getting orders: ${error.message}`);
     res.status(500).json({ error: 'Failed to get orders' });
   }
 });
 
+// "Customers also bought" model, rebuilt from all stored orders every
+// RECOMMENDATIONS_REBUILD_MINUTES. Each replica builds its own copy; until the
+// first build finishes every recommendation list is empty.
+const REBUILD_INTERVAL_MINUTES = parseInt(process.env.RECOMMENDATIONS_REBUILD_MINUTES) || 60;
+const DEFAULT_RECOMMENDATIONS = 8;
+const MAX_RECOMMENDATIONS = 20;
+
+let recommendationModel = recommendations.emptyModel();
+let rebuildTimer = null;
+
+const rebuildRecommendations = async () => {
+  const start = Date.now();
+  recommendationModel = await recommendations.buildModel();
+  log.info(`Rebuilt recommendations from ${recommendationModel.orderCount} orders (${Date.now() - start}ms)`);
+};
+
+const startRecommendationRebuilds = () => {
+  let running = false;
+  const rebuild = async () => {
+    // Skip a tick rather than overlap a slow rebuild
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await rebuildRecommendations();
+    } catch (error) {
+      log.error(`Error rebuilding recommendations: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+  rebuild();
+  rebuildTimer = setInterval(rebuild, REBUILD_INTERVAL_MINUTES * 60 * 1000);
+};
+
+// ?limit= as a number of recommendations, or null if invalid
+const parseRecommendationLimit = (value) => {
+  if (value === undefined) {
+    return DEFAULT_RECOMMENDATIONS;
+  }
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 && limit <= MAX_RECOMMENDATIONS ? limit : null;
+};
+
+// Ranked product ids for a product page. product-service looks the products
+// up and serves them as GET /api/products/:id/recommendations.
+app.get('/api/recommendations/products/:id', (req, res) => {
+  const productId = Number(req.params.id);
+  const limit = parseRecommendationLimit(req.query.limit);
+  if (!Number.isInteger(productId) || limit === null) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      details: [`id must be a product id and limit must be 1-${MAX_RECOMMENDATIONS}`]
+    });
+  }
+  res.json(recommendations.recommendForProduct(recommendationModel, productId, limit));
+});
+
+// Products in the shopper's cart, or none if cart-service cannot be reached
+const getCartProductIds = async (userId) => {
+  try {
+    const response = await axios.get(`${CART_SERVICE_URL}/api/cart/${encodeURIComponent(userId)}`);
+    return response.data.map(item => item.productId);
+  } catch (error) {
+    log.warn(`Recommending without the cart of ${userId}: ${error.message}`);
+    return [];
+  }
+};
+
+// Recommendations for a shopper, based on what they have ordered and what is
+// in their cart. New shoppers get best-sellers.
+app.get('/api/recommendations/:userId', async (req, res) => {
+  const limit = parseRecommendationLimit(req.query.limit);
+  if (limit === null) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      details: [`limit must be 1-${MAX_RECOMMENDATIONS}`]
+    });
+  }
+
+  try {
+    const { userId } = req.params;
+    const [orders, cartProductIds] = await Promise.all([getOrdersByUser(userId), getCartProductIds(userId)]);
+    const ownedIds = [
+      ...orders.flatMap(order => (order.items || []).map(item => item.product && item.product.id)),
+      ...cartProductIds
+    ].filter(id => id !== undefined);
+
+    // Ask for extra ids to make up for archived and out-of-stock products
+    const { productIds, source } = recommendations.recommendForShopper(recommendationModel, ownedIds, limit * 2);
+    if (productIds.length === 0) {
+      return res.json({ products: [], source });
+    }
+    const productResponse = await axios.get(`${PRODUCT_SERVICE_URL}/api/products`, {
+      params: { ids: productIds.join(',') }
+    });
+    const products = productResponse.data.products
+      .filter(product => !product.archived && product.stock > 0)
+      .slice(0, limit);
+
+    res.json({ products, source });
+  } catch (error) {
+    log.error(`Error getting recommendations: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get recommendations' });
+  }
+});
+
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'order-service' });
 });
@@ -177,11 +858,13 @@ app.get('/metrics/order', async (req, res) => {
 
 const server = app.listen(PORT, () => {
   log.info(`Order service running on port ${PORT}`);
+  startRecommendationRebuilds();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   log.info('SIGTERM received, shutting down gracefully');
+  clearInterval(rebuildTimer);
   server.close(() => {
     log.info('Process terminated');
     process.exit(0);
@@ -190,6 +873,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   log.info('SIGINT received, shutting down gracefully');
+  clearInterval(rebuildTimer);
   server.close(() => {
     log.info('Process terminated');
     process.exit(0);
@@ -0,0 +1,73 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { createDynamoDB, stubHttp, startService } = require('../../test-support');
+
+process.env.PORT = '3104';
+process.env.PRODUCT_SERVICE_URL = 'http://product-service';
+process.env.CART_SERVICE_URL = 'http://cart-service';
+process.env.PAYMENT_GATEWAY = 'log';
+process.env.SERVICE_API_TOKEN = 'service-token';
+
+const db = createDynamoDB(DynamoDBDocumentClient, { orders: ['id'], idempotency: ['id'] });
+const orders = db.tables.orders;
+const http = stubHttp(axios);
+let request;
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const addOrder = (order) => {
+  db.reset();
+  http.reset();
+  orders.put({ userId: 'user-1', ...order });
+};
+
+const cancel = (id, reason) => request('POST', `/api/orders/${id}/cancel`, { userId: 'user-1', reason });
+
+before(async () => {
+  request = await startService(() => require('../server'), process.env.PORT);
+});
+
+test('an order cancelled twice at once is restocked, released and refunded once', async () => {
+  addOrder({
+    id: 'order-2',
+    status: 'Paid',
+    statusHistory: [{ status: 'Pending', at: daysAgo(1) }, { status: 'Paid', at: daysAgo(1) }],
+    items: [
+      { product: { id: 1, name: 'Phone', price: 100 }, variant: { sku: 'PH-BLK', options: { Color: 'Black' } }, quantity: 1, itemTotal: 100 },
+      { product: { id: 2, name: 'Case', price: 10 }, variant: { sku: 'PRD-2', options: {} }, quantity: 2, itemTotal: 20 }
+    ],
+    discounts: [{ code: 'SAVE10', amount: 12 }],
+    total: 108
+  });
+
+  const results = await Promise.all([cancel('order-2', 'Changed my mind'), cancel('order-2', 'Changed my mind')]);
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+
+  const restocks = http.calls.filter(call => call.url.endsWith('/release') && call.url.includes('/products/'));
+  assert.deepEqual(restocks.map(call => [call.body.sku, call.body.quantity]), [['PH-BLK', 1], ['PRD-2', 2]]);
+  const releases = http.calls.filter(call => call.url.includes('/coupons/'));
+  assert.deepEqual(releases.map(call => call.url), ['http://product-service/api/coupons/SAVE10/release']);
+  assert.equal(releases[0].config.headers['X-Service-Token'], 'service-token');
+
+  const order = orders.get('order-2');
+  assert.equal(order.status, 'Refunded');
+  assert.deepEqual(order.statusHistory.map(entry => entry.status), ['Pending', 'Paid', 'Cancelled', 'Refunded']);
+  assert.equal(order.refund.amount, 108);
+});
+
+test('a shopper cannot cancel an order that has shipped', async () => {
+  addOrder({
+    id: 'order-3',
+    status: 'Shipped',
+    statusHistory: [{ status: 'Shipped', at: daysAgo(1) }],
+    items: [{ product: { id: 2, name: 'Case', price: 10 }, variant: { sku: 'PRD-2', options: {} }, quantity: 1, itemTotal: 10 }],
+    total: 10
+  });
+
+  const result = await cancel('order-3', 'Too slow');
+  assert.equal(result.status, 409);
+  assert.equal(orders.get('order-3').status, 'Shipped');
+  assert.equal(http.calls.length, 0);
+});
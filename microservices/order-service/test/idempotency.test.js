@@ -0,0 +1,86 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { createDynamoDB, stubHttp, startService } = require('../../test-support');
+
+process.env.PORT = '3105';
+process.env.PRODUCT_SERVICE_URL = 'http://product-service';
+process.env.CART_SERVICE_URL = 'http://cart-service';
+process.env.PAYMENT_GATEWAY = 'log';
+
+const db = createDynamoDB(DynamoDBDocumentClient, { orders: ['id'], idempotency: ['id'] });
+const orders = db.tables.orders;
+const idempotencyKeys = db.tables.idempotency;
+const http = stubHttp(axios);
+let request;
+
+// A cart of two cases, as priced by cart-service
+const stubCartSummary = () => {
+  db.reset();
+  http.reset();
+  http.respond('get', 'http://cart-service/api/cart/user-1/summary', async () => {
+    // Slow enough for concurrent requests to overlap
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return {
+      status: 200,
+      data: {
+        lines: [{ productId: 2, sku: 'PRD-2', name: 'Case', options: {}, quantity: 2, unitPrice: 10, regularPrice: 10, lineTotal: 20 }],
+        missing: [],
+        coupon: null,
+        destination: { country: 'SG' },
+        subtotal: 20,
+        discounts: [],
+        shipping: { option: 'standard', amount: 5 },
+        tax: { amount: 1.75 },
+        total: 26.75
+      }
+    };
+  });
+};
+
+const placeOrder = (key, customer = { name: 'Sam' }) =>
+  request('POST', '/api/orders', { userId: 'user-1', customer, expectedTotal: 26.75 }, { 'Idempotency-Key': key });
+
+before(async () => {
+  request = await startService(() => require('../server'), process.env.PORT);
+});
+
+test('the same Idempotency-Key sent at once and again later makes one order', async () => {
+  stubCartSummary();
+  const results = await Promise.all([placeOrder('key-1'), placeOrder('key-1'), placeOrder('key-1')]);
+  const placed = results.filter(result => result.status === 200);
+  assert.equal(placed.length, 1);
+  for (const result of results.filter(result => result.status === 409)) {
+    assert.ok(result.body.error.includes('still in progress'));
+    assert.equal(result.headers.get('Retry-After'), '1');
+  }
+  assert.equal(orders.size, 1);
+
+  const retry = await placeOrder('key-1');
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get('Idempotent-Replayed'), 'true');
+  assert.equal(retry.body.id, placed[0].body.id);
+  assert.equal(orders.size, 1);
+
+  const changed = await placeOrder('key-1', { name: 'Alex' });
+  assert.equal(changed.status, 409);
+  assert.equal(changed.body.error, 'Idempotency-Key was already used with a different request');
+});
+
+test('an order whose cart cannot be cleared still succeeds and keeps its key', async () => {
+  stubCartSummary();
+  http.respond('delete', 'http://cart-service/api/cart/user-1', async () => {
+    throw new Error('connect ECONNREFUSED');
+  });
+
+  const first = await placeOrder('key-2');
+  assert.equal(first.status, 200);
+  assert.equal(orders.size, 1);
+  assert.equal(idempotencyKeys.get('orders:key-2').status, 'completed');
+
+  const retry = await placeOrder('key-2');
+  assert.equal(retry.status, 200);
+  assert.equal(retry.body.id, first.body.id);
+  assert.equal(orders.size, 1);
+});
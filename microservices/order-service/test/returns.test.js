@@ -0,0 +1,93 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { createDynamoDB, stubHttp, startService } = require('../../test-support');
+
+process.env.PORT = '3103';
+process.env.ADMIN_API_TOKEN = 'admin-token';
+process.env.PRODUCT_SERVICE_URL = 'http://product-service';
+process.env.CART_SERVICE_URL = 'http://cart-service';
+process.env.PAYMENT_GATEWAY = 'log';
+
+const db = createDynamoDB(DynamoDBDocumentClient, { orders: ['id'], idempotency: ['id'] });
+const orders = db.tables.orders;
+const http = stubHttp(axios);
+let request;
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// A delivered order with a phone in two colours and, as in orders placed
+// before SKUs were stored on lines, a case without a variant
+const addDeliveredOrder = () => {
+  db.reset();
+  http.reset();
+  orders.put({
+    id: 'order-1',
+    userId: 'user-1',
+    status: 'Delivered',
+    statusHistory: [
+      { status: 'Pending', at: daysAgo(5) },
+      { status: 'Paid', at: daysAgo(5) },
+      { status: 'Delivered', at: daysAgo(2) }
+    ],
+    items: [
+      { product: { id: 1, name: 'Phone', price: 100 }, variant: { sku: 'PH-BLK', options: { Color: 'Black' } }, quantity: 3, itemTotal: 300 },
+      { product: { id: 2, name: 'Case', price: 10 }, quantity: 2, itemTotal: 20 }
+    ],
+    total: 320
+  });
+};
+
+const requestReturn = (body) => request('POST', '/api/orders/order-1/returns', { userId: 'user-1', reason: 'Damaged', ...body });
+const moveReturn = (rma, status) => request('POST', `/api/orders/order-1/returns/${rma}/transitions`, { status }, { 'X-Admin-Token': 'admin-token' });
+
+before(async () => {
+  request = await startService(() => require('../server'), process.env.PORT);
+});
+
+test('concurrent return requests never return more than was bought', async () => {
+  addDeliveredOrder();
+  const results = await Promise.all(Array.from({ length: 5 }, () => requestReturn({ sku: 'PH-BLK', quantity: 2 })));
+
+  const accepted = results.filter(result => result.status === 201);
+  assert.equal(accepted.length, 1);
+  assert.ok(results.every(result => [201, 409].includes(result.status)));
+  assert.equal(orders.get('order-1').returns.length, 1);
+
+  const rest = await requestReturn({ sku: 'PH-BLK', quantity: 2 });
+  assert.equal(rest.status, 409);
+  assert.equal(rest.body.available, 1);
+});
+
+test('a line without a variant is returned under its base SKU', async () => {
+  addDeliveredOrder();
+  const { body } = await request('GET', '/api/orders/order-1/returns?userId=user-1');
+  assert.deepEqual(body.lines.map(line => [line.sku, line.returnable]), [['PH-BLK', 3], ['PRD-2', 2]]);
+  assert.deepEqual(body.lines[1].options, {});
+
+  const result = await requestReturn({ sku: 'PRD-2', quantity: 1 });
+  assert.equal(result.status, 201);
+  assert.equal(result.body.productId, 2);
+  assert.equal(result.body.refundAmount, 10);
+});
+
+test('a return received twice at once is restocked and refunded once', async () => {
+  addDeliveredOrder();
+  const { body: entry } = await requestReturn({ sku: 'PRD-2', quantity: 2 });
+  assert.equal((await moveReturn(entry.rma, 'Approved')).status, 200);
+
+  const results = await Promise.all([moveReturn(entry.rma, 'Received'), moveReturn(entry.rma, 'Received')]);
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+
+  const restocks = http.calls.filter(call => call.url.endsWith('/release'));
+  assert.equal(restocks.length, 1);
+  assert.equal(restocks[0].url, 'http://product-service/api/products/2/release');
+  assert.equal(restocks[0].body.sku, 'PRD-2');
+  assert.equal(restocks[0].body.quantity, 2);
+
+  const [stored] = orders.get('order-1').returns;
+  assert.equal(stored.status, 'Refunded');
+  assert.equal(stored.refund.amount, 20);
+  assert.equal(stored.refund.status, 'succeeded');
+});
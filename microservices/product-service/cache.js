@@ -0,0 +1,58 @@
+// In-process cache for catalog reads. Entries expire after ttlMs and the least
+// recently used entry is evicted once maxEntries is reached. Every replica has
+// its own cache, so a write on one replica reaches the others only when their
+// entries expire.
+//
+// delete() and clear() bump a generation counter. A value loaded before an
+// invalidation is stored with setIfCurrent() and dropped if the generation has
+// moved on, so a slow read cannot put stale data back after a write.
+const createCache = ({ name, ttlMs, maxEntries = 1000 }) => {
+  const entries = new Map();
+  let generation = 0;
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    name,
+    get generation() {
+      return generation;
+    },
+    // The cached value, or undefined on a miss
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        return undefined;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set,
+    setIfCurrent: (key, value, loadedAt) => {
+      if (loadedAt === generation) {
+        set(key, value);
+      }
+    },
+    delete: (key) => {
+      generation++;
+      entries.delete(key);
+    },
+    clear: () => {
+      generation++;
+      entries.clear();
+    }
+  };
+};
+
+module.exports = {
+  createCache
+};
\ No newline at end of file
@@ -0,0 +1,289 @@
+const { ScanCommand, PutCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB, PRODUCTS_TABLE } = require('./dynamodb');
+const { validateProduct, getBaseSku, getSearchText } = require('./validation');
+const { parseCsv, toCsv } = require('./csv');
+const ledger = require('./ledger');
+const pricing = require('./pricing');
+
+// Spreadsheet columns. Variants are nested, so they can only be imported and
+// exported as JSON; in CSV a variant product shows its total stock.
+const CSV_COLUMNS = ['id', 'name', 'price', 'compareAtPrice', 'description', 'image', 'stock', 'reorderThreshold', 'weightKg', 'category', 'brand', 'tags'];
+const NUMERIC_COLUMNS = ['id', 'price', 'compareAtPrice', 'stock', 'reorderThreshold', 'weightKg'];
+const EXPORT_COLUMNS = [...CSV_COLUMNS, 'archived'];
+const TAG_SEPARATOR = '|';
+const MAX_IMPORT_ROWS = 5000;
+// Rows written at the same time
+const IMPORT_CONCURRENCY = 10;
+
+// Fields the service maintains itself. They appear in exports and are ignored
+// on import so an exported file can be edited and loaded back. Promotions are
+// scheduled through their own endpoint.
+const SYSTEM_FIELDS = ['sku', 'archived', 'archivedAt', 'createdAt', 'updatedAt', 'ratingCount', 'ratingTotal', 'ratingAverage', 'stockSeq', 'images', 'promotions', 'searchText'];
+
+// Spreadsheet cells are strings; convert them to the types validateProduct
+// expects and leave blank optional cells out
+const csvRecordToRow = (record) => {
+  const row = {};
+  for (const [column, rawValue] of Object.entries(record)) {
+    const value = rawValue.trim();
+    if (value === '') {
+      continue;
+    }
+    if (NUMERIC_COLUMNS.includes(column)) {
+      // Keep unparseable cells as text so the validation error shows them
+      const number = Number(value);
+      row[column] = Number.isNaN(number) ? value : number;
+    } else if (column === 'tags') {
+      row.tags = value.split(TAG_SEPARATOR).map(tag => tag.trim()).filter(tag => tag !== '');
+    } else {
+      row[column] = value;
+    }
+  }
+  return row;
+};
+
+// Turn an uploaded file into import rows. format is 'csv' or 'json'.
+const parseImportFile = (text, format) => {
+  if (format === 'csv') {
+    return parseCsv(text).map(csvRecordToRow);
+  }
+  const rows = JSON.parse(text);
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON import must be an array of products');
+  }
+  return rows;
+};
+
+// Every product in the table, archived ones included
+const scanAllProducts = async () => {
+  const products = [];
+  let startKey;
+  do {
+    const result = await dynamoDB.send(new ScanCommand({
+      TableName: PRODUCTS_TABLE,
+      ExclusiveStartKey: startKey
+    }));
+    products.push(...(result.Items || []));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return products;
+};
+
+// Validate every row against the current catalog and work out the item to
+// write for each, with the stock and price changes it makes. Rows with an id
+// update that product (or create it under that id); rows without one get the
+// next free id. Row numbers are 1-based data rows.
+const planImport = (rows, existingProducts) => {
+  const existingById = new Map(existingProducts.map(product => [product.id, product]));
+  // New ids start after every id already in use or claimed by the file
+  const claimedIds = rows.map(row => row && row.id).filter(id => Number.isInteger(id));
+  let nextId = Math.max(0, ...existingProducts.map(product => product.id), ...claimedIds) + 1;
+  const seenIds = new Set();
+  const now = new Date().toISOString();
+  const writes = [];
+  const errors = [];
+  let created = 0;
+  let updated = 0;
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      errors.push({ row: rowNumber, errors: ['Row must be an object'] });
+      return;
+    }
+
+    const { id, ...fields } = row;
+    SYSTEM_FIELDS.forEach(field => delete fields[field]);
+    const rowErrors = [];
+    if (id !== undefined && (!Number.isInteger(id) || id < 1)) {
+      rowErrors.push('id must be a positive integer');
+    } else if (id !== undefined && seenIds.has(id)) {
+      rowErrors.push(`id ${id} appears more than once in the file`);
+    }
+
+    const { product, errors: fieldErrors } = validateProduct(fields);
+    rowErrors.push(...fieldErrors);
+
+    const existing = existingById.get(id);
+    // Same rule as PATCH: a variant product's stock follows its variants, but
+    // an unchanged total (as written by the CSV export) is accepted
+    if (existing && existing.variants && !product.variants && product.stock !== undefined && product.stock !== existing.stock) {
+      rowErrors.push('stock is derived from variants; update the variants instead');
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, ...(id !== undefined ? { id } : {}), errors: rowErrors });
+      return;
+    }
+
+    if (id !== undefined) {
+      seenIds.add(id);
+    }
+
+    if (existing) {
+      // Merge so ratings, variants and archive state survive a CSV round trip
+      const item = { ...existing, ...product, updatedAt: now };
+      item.searchText = getSearchText(item);
+      if (product.variants) {
+        delete item.sku;
+      }
+      const changes = ledger.diffStock(existing, item);
+      item.stockSeq = (existing.stockSeq || 0) + changes.length;
+      writes.push({ row: rowNumber, item, existing, stockChanges: changes, priceChanges: pricing.diffPrices(existing, item), reason: 'catalog_import' });
+      updated++;
+    } else {
+      const productId = id !== undefined ? id : nextId++;
+      const item = {
+        id: productId,
+        ...product,
+        ...(product.variants ? {} : { sku: getBaseSku(productId) }),
+        searchText: getSearchText(product),
+        archived: false,
+        createdAt: now,
+        updatedAt: now
+      };
+      const changes = ledger.diffStock(null, item);
+      item.stockSeq = changes.length;
+      writes.push({ row: rowNumber, item, existing: null, stockChanges: changes, priceChanges: pricing.diffPrices(null, item), reason: 'product_created' });
+      created++;
+    }
+  });
+
+  return { writes, errors, created, updated };
+};
+
+// Write one planned row. An update only applies if the product's stockSeq and
+// updatedAt are still those read when the import was planned, so stock moved
+// or an edit made meanwhile is not overwritten; a create only applies if the
+// id is still free. Resolves to false when the product changed.
+const writeImportRow = async ({ item, existing }) => {
+  try {
+    if (!existing) {
+      await dynamoDB.send(new PutCommand({
+        TableName: PRODUCTS_TABLE,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(id)'
+      }));
+      return true;
+    }
+
+    const names = {};
+    const values = {};
+    const assignments = Object.keys(item).filter(field => field !== 'id').map((field, index) => {
+      names[`#f${index}`] = field;
+      values[`:f${index}`] = item[field];
+      return `#f${index} = :f${index}`;
+    });
+    // A product that gains variants stops using its base SKU
+    const removals = existing.sku && item.sku === undefined ? ' REMOVE sku' : '';
+    const guards = ['attribute_exists(id)'];
+    for (const field of ['stockSeq', 'updatedAt']) {
+      if (existing[field] === undefined) {
+        guards.push(`attribute_not_exists(${field})`);
+      } else {
+        values[`:expected_${field}`] = existing[field];
+        guards.push(`${field} = :expected_${field}`);
+      }
+    }
+
+    await dynamoDB.send(new UpdateCommand({
+      TableName: PRODUCTS_TABLE,
+      Key: { id: item.id },
+      UpdateExpression: `SET ${assignments.join(', ')}${removals}`,
+      ConditionExpression: guards.join(' AND '),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Validate and (unless dryRun) write a batch of import rows. Nothing is written
+// if any row is invalid. Rows whose product changed while the import ran (a
+// reservation, an order or an edit) are left alone and listed in conflicts,
+// so the file can be exported again and re-imported for them. Stock ledger
+// and price history entries are recorded for the rows written; those that
+// cannot be written are counted in ledgerFailures and priceHistoryFailures.
+// onStockChange is called with each written product and its per-SKU stock
+// changes.
+const importProducts = async (rows, { dryRun = false, onStockChange } = {}) => {
+  if (rows.length === 0) {
+    return { dryRun, total: 0, created: 0, updated: 0, errors: [{ row: 0, errors: ['File contains no products'] }] };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { dryRun, total: rows.length, created: 0, updated: 0, errors: [{ row: 0, errors: [`Imports are limited to ${MAX_IMPORT_ROWS} rows`] }] };
+  }
+
+  const { writes, errors, created, updated } = planImport(rows, await scanAllProducts());
+  const report = { dryRun, total: rows.length, created, updated, errors };
+  if (dryRun || errors.length > 0) {
+    return report;
+  }
+
+  const written = [];
+  report.conflicts = [];
+  for (let start = 0; start < writes.length; start += IMPORT_CONCURRENCY) {
+    const batch = writes.slice(start, start + IMPORT_CONCURRENCY);
+    const results = await Promise.all(batch.map(writeImportRow));
+    batch.forEach((write, index) => {
+      if (results[index]) {
+        written.push(write);
+      } else {
+        report.conflicts.push({
+          row: write.row,
+          id: write.item.id,
+          error: write.existing ? 'Product changed while the import ran' : 'Product id was taken while the import ran'
+        });
+      }
+    });
+  }
+  report.written = written.length;
+
+  report.ledgerFailures = 0;
+  report.priceHistoryFailures = 0;
+  for (const { item, stockChanges, priceChanges, reason } of written) {
+    if (stockChanges.length > 0) {
+      try {
+        await ledger.recordStockChanges(item.id, item.stockSeq, stockChanges, { reason, source: 'catalog-import' });
+      } catch (error) {
+        report.ledgerFailures += stockChanges.length;
+      }
+      if (onStockChange) {
+        await onStockChange(item, stockChanges);
+      }
+    }
+    if (priceChanges.length > 0) {
+      try {
+        await pricing.recordPriceChange(item.id, { reason, source: 'catalog-import', changes: priceChanges });
+      } catch (error) {
+        report.priceHistoryFailures++;
+      }
+    }
+  }
+  return report;
+};
+
+// Whole catalog, archived products included, as CSV text or a JSON array
+const exportProducts = async (format) => {
+  const products = (await scanAllProducts()).sort((a, b) => a.id - b.id);
+  if (format === 'json') {
+    return JSON.stringify(products, null, 2);
+  }
+  return toCsv(EXPORT_COLUMNS, products.map(product => ({
+    ...product,
+    tags: (product.tags || []).join(TAG_SEPARATOR),
+    archived: product.archived ? 'true' : 'false'
+  })));
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  parseImportFile,
+  importProducts,
+  exportProducts
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+// Category hierarchy. Products are assigned a category slug (normally a leaf)
+// and show up under every ancestor of that category as well.
+const CATEGORY_TREE = [
+  {
+    slug: 'phones-tablets',
+    name: 'Phones & Tablets',
+    children: [
+      { slug: 'smartphones', name: 'Smartphones' },
+      { slug: 'tablets', name: 'Tablets' }
+    ]
+  },
+  {
+    slug: 'computers',
+    name: 'Computers',
+    children: [
+      { slug: 'laptops', name: 'Laptops' }
+    ]
+  },
+  {
+    slug: 'audio',
+    name: 'Audio',
+    children: [
+      { slug: 'headphones', name: 'Headphones' }
+    ]
+  },
+  {
+    slug: 'wearables',
+    name: 'Wearables',
+    children: [
+      { slug: 'smartwatches', name: 'Smartwatches' }
+    ]
+  }
+];
+
+// Flat lookup of slug -> { slug, name, parent }
+const categoriesBySlug = {};
+const indexCategories = (nodes, parent) => {
+  for (const node of nodes) {
+    categoriesBySlug[node.slug] = { slug: node.slug, name: node.name, parent };
+    indexCategories(node.children || [], node.slug);
+  }
+};
+indexCategories(CATEGORY_TREE, null);
+
+const isCategory = (slug) => Boolean(categoriesBySlug[slug]);
+
+const getCategory = (slug) => categoriesBySlug[slug] || null;
+
+// Root-first chain of categories ending with the given one
+const getBreadcrumb = (slug) => {
+  const trail = [];
+  let current = categoriesBySlug[slug];
+  while (current) {
+    trail.unshift({ slug: current.slug, name: current.name });
+    current = categoriesBySlug[current.parent];
+  }
+  return trail;
+};
+
+// The category itself plus every category below it
+const getDescendantSlugs = (slug) => {
+  const slugs = [slug];
+  for (const category of Object.values(categoriesBySlug)) {
+    if (category.parent === slug) {
+      slugs.push(...getDescendantSlugs(category.slug));
+    }
+  }
+  return slugs;
+};
+
+const getChildren = (slug) => Object.values(categoriesBySlug)
+  .filter(category => category.parent === slug)
+  .map(({ slug: childSlug, name }) => ({ slug: childSlug, name }));
+
+// Copy of the tree with product counts rolled up to every ancestor
+const buildCategoryCounts = (products) => {
+  const counts = {};
+  for (const product of products) {
+    for (const { slug } of getBreadcrumb(product.category)) {
+      counts[slug] = (counts[slug] || 0) + 1;
+    }
+  }
+
+  const withCounts = (nodes) => nodes.map(node => ({
+    slug: node.slug,
+    name: node.name,
+    count: counts[node.slug] || 0,
+    children: withCounts(node.children || [])
+  }));
+  return withCounts(CATEGORY_TREE);
+};
+
+module.exports = {
+  CATEGORY_TREE,
+  isCategory,
+  getCategory,
+  getBreadcrumb,
+  getDescendantSlugs,
+  getChildren,
+  buildCategoryCounts
+};
@@ -0,0 +1,406 @@
+const { GetCommand, PutCommand, UpdateCommand, ScanCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('./dynamodb');
+
+const COUPONS_TABLE = process.env.COUPONS_TABLE || 'shopmate-eks-coupons-dev';
+// One record per code and shopper, counting how often they redeemed it
+const COUPON_REDEMPTIONS_TABLE = process.env.COUPON_REDEMPTIONS_TABLE || 'shopmate-eks-coupon-redemptions-dev';
+
+const COUPON_TYPES = ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Codes are matched case-insensitively and stored upper case
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const parseTimestamp = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const formatAmount = (amount) => `$${amount.toFixed(2)}`;
+
+// Shown to shoppers when the coupon has no description of its own
+const describeCoupon = (coupon) => {
+  switch (coupon.type) {
+    case 'percentage':
+      return `${coupon.percentOff}% off`;
+    case 'fixed_amount':
+      return `${formatAmount(coupon.amountOff)} off`;
+    case 'free_shipping':
+      return 'Free shipping';
+    default:
+      return `Buy ${coupon.buyQuantity}, get ${coupon.getQuantity} free`;
+  }
+};
+
+// Validate a coupon payload. Returns the cleaned coupon and a list of error
+// messages, like validatePromotion.
+const validateCoupon = (input) => {
+  const errors = [];
+  const coupon = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { coupon, errors: ['Request body must be a JSON object'] };
+  }
+
+  const allowed = [
+    'code', 'description', 'type', 'percentOff', 'amountOff', 'buyQuantity', 'getQuantity',
+    'minSpend', 'startsAt', 'expiresAt', 'maxRedemptions', 'maxRedemptionsPerUser', 'productIds'
+  ];
+  for (const key of Object.keys(input)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${key} is not a coupon field`);
+    }
+  }
+
+  const code = normalizeCode(input.code);
+  if (!CODE_PATTERN.test(code)) {
+    errors.push('code must be 3-32 letters, digits, dashes or underscores');
+  } else {
+    coupon.code = code;
+  }
+
+  if (input.description !== undefined) {
+    if (typeof input.description !== 'string' || input.description.trim() === '' || input.description.length > 200) {
+      errors.push('description must be 1-200 characters');
+    } else {
+      coupon.description = input.description.trim();
+    }
+  }
+
+  if (!COUPON_TYPES.includes(input.type)) {
+    errors.push(`type must be one of: ${COUPON_TYPES.join(', ')}`);
+  } else {
+    coupon.type = input.type;
+  }
+
+  // Each type takes its own amount fields and no others
+  const typeFields = {
+    percentage: ['percentOff'],
+    fixed_amount: ['amountOff'],
+    free_shipping: [],
+    buy_x_get_y: ['buyQuantity', 'getQuantity']
+  };
+  for (const field of ['percentOff', 'amountOff', 'buyQuantity', 'getQuantity']) {
+    if (input[field] !== undefined && coupon.type && !typeFields[coupon.type].includes(field)) {
+      errors.push(`${field} does not apply to ${coupon.type} coupons`);
+    }
+  }
+  if (coupon.type === 'percentage') {
+    if (typeof input.percentOff !== 'number' || !Number.isFinite(input.percentOff) || input.percentOff <= 0 || input.percentOff > 100) {
+      errors.push('percentOff must be a number greater than 0 and at most 100');
+    } else {
+      coupon.percentOff = input.percentOff;
+    }
+  }
+  if (coupon.type === 'fixed_amount') {
+    if (typeof input.amountOff !== 'number' || !Number.isFinite(input.amountOff) || input.amountOff <= 0) {
+      errors.push('amountOff must be a positive number');
+    } else {
+      coupon.amountOff = input.amountOff;
+    }
+  }
+  if (coupon.type === 'buy_x_get_y') {
+    if (!isPositiveInteger(input.buyQuantity) || !isPositiveInteger(input.getQuantity)) {
+      errors.push('buyQuantity and getQuantity must be positive integers');
+    } else {
+      coupon.buyQuantity = input.buyQuantity;
+      coupon.getQuantity = input.getQuantity;
+    }
+  }
+
+  if (input.minSpend !== undefined) {
+    if (typeof input.minSpend !== 'number' || !Number.isFinite(input.minSpend) || input.minSpend < 0) {
+      errors.push('minSpend must be a non-negative number');
+    } else {
+      coupon.minSpend = input.minSpend;
+    }
+  }
+
+  for (const field of ['startsAt', 'expiresAt']) {
+    if (input[field] !== undefined) {
+      const timestamp = parseTimestamp(input[field]);
+      if (!timestamp) {
+        errors.push(`${field} must be an ISO 8601 date-time`);
+      } else {
+        coupon[field] = timestamp;
+      }
+    }
+  }
+  if (coupon.startsAt && coupon.expiresAt && coupon.expiresAt <= coupon.startsAt) {
+    errors.push('expiresAt must be after startsAt');
+  }
+
+  for (const field of ['maxRedemptions', 'maxRedemptionsPerUser']) {
+    if (input[field] !== undefined) {
+      if (!isPositiveInteger(input[field])) {
+        errors.push(`${field} must be a positive integer`);
+      } else {
+        coupon[field] = input[field];
+      }
+    }
+  }
+
+  if (input.productIds !== undefined) {
+    if (!Array.isArray(input.productIds) || input.productIds.length === 0 || !input.productIds.every(isPositiveInteger)) {
+      errors.push('productIds must be a non-empty list of product ids');
+    } else {
+      coupon.productIds = [...new Set(input.productIds)];
+    }
+  }
+
+  return { coupon, errors };
+};
+
+// Work out what a coupon is worth on a set of priced lines
+// ({ productId, sku, quantity, price }). Returns { error } with a reason the
+// shopper can act on, or the discount lines to show and store with the order.
+// Usage limits are passed in: redemptionCount on the coupon and
+// userRedemptions for the shopper.
+const evaluateCoupon = (coupon, lines, { userRedemptions = 0, now = new Date().toISOString() } = {}) => {
+  if (!coupon.active) {
+    return { error: `Coupon ${coupon.code} is no longer available` };
+  }
+  if (coupon.startsAt && now < coupon.startsAt) {
+    return { error: `Coupon ${coupon.code} cannot be used before ${coupon.startsAt.slice(0, 10)}` };
+  }
+  if (coupon.expiresAt && now >= coupon.expiresAt) {
+    return { error: `Coupon ${coupon.code} expired on ${coupon.expiresAt.slice(0, 10)}` };
+  }
+  if (coupon.maxRedemptions !== undefined && (coupon.redemptionCount || 0) >= coupon.maxRedemptions) {
+    return { error: `Coupon ${coupon.code} has reached its usage limit` };
+  }
+  if (coupon.maxRedemptionsPerUser !== undefined && userRedemptions >= coupon.maxRedemptionsPerUser) {
+    return {
+      error: coupon.maxRedemptionsPerUser === 1
+        ? `You have already used coupon ${coupon.code}`
+        : `You have already used coupon ${coupon.code} ${coupon.maxRedemptionsPerUser} times`
+    };
+  }
+
+  const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  if (coupon.minSpend !== undefined && subtotal < coupon.minSpend) {
+    return { error: `Spend at least ${formatAmount(coupon.minSpend)} to use coupon ${coupon.code} (${formatAmount(coupon.minSpend - subtotal)} to go)` };
+  }
+
+  const eligible = coupon.productIds
+    ? lines.filter(line => coupon.productIds.includes(line.productId))
+    : lines;
+  if (eligible.length === 0) {
+    return { error: `None of the items in your cart are eligible for coupon ${coupon.code}` };
+  }
+  const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  let amount = 0;
+  let freeShipping = false;
+  switch (coupon.type) {
+    case 'percentage':
+      amount = eligibleSubtotal * coupon.percentOff / 100;
+      break;
+    case 'fixed_amount':
+      // Never more than the items it applies to
+      amount = Math.min(coupon.amountOff, eligibleSubtotal);
+      break;
+    case 'free_shipping':
+      freeShipping = true;
+      break;
+    default: {
+      // In every group of buy + get eligible units the cheapest get units are
+      // free, grouping the most expensive units first
+      const groupSize = coupon.buyQuantity + coupon.getQuantity;
+      const prices = eligible
+        .flatMap(line => Array(line.quantity).fill(line.price))
+        .sort((a, b) => b - a);
+      if (prices.length < groupSize) {
+        return { error: `Add ${groupSize - prices.length} more eligible item${groupSize - prices.length === 1 ? '' : 's'} to use coupon ${coupon.code}` };
+      }
+      for (let start = 0; start + groupSize <= prices.length; start += groupSize) {
+        amount += prices.slice(start + coupon.buyQuantity, start + groupSize).reduce((sum, price) => sum + price, 0);
+      }
+    }
+  }
+
+  const discount = {
+    code: coupon.code,
+    type: coupon.type,
+    description: coupon.description || describeCoupon(coupon),
+    amount: roundPrice(amount)
+  };
+  return {
+    code: coupon.code,
+    subtotal,
+    discounts: [discount],
+    discountTotal: discount.amount,
+    freeShipping
+  };
+};
+
+const getCoupon = async (code) => {
+  const result = await dynamoDB.send(new GetCommand({
+    TableName: COUPONS_TABLE,
+    Key: { code: normalizeCode(code) }
+  }));
+  return result.Item || null;
+};
+
+const listCoupons = async () => {
+  const coupons = [];
+  let startKey;
+  do {
+    const result = await dynamoDB.send(new ScanCommand({
+      TableName: COUPONS_TABLE,
+      ExclusiveStartKey: startKey
+    }));
+    coupons.push(...(result.Items || []));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return coupons.sort((a, b) => a.code.localeCompare(b.code));
+};
+
+// Resolves to the stored coupon, or null if the code is taken
+const createCoupon = async (coupon) => {
+  const item = { ...coupon, active: true, redemptionCount: 0, createdAt: new Date().toISOString() };
+  try {
+    await dynamoDB.send(new PutCommand({
+      TableName: COUPONS_TABLE,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(code)'
+    }));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+  return item;
+};
+
+// Codes stay in the table so past orders still refer to something; a
+// deactivated coupon is rejected from then on. Resolves to the updated coupon,
+// or null if there is none.
+const deactivateCoupon = async (code) => {
+  try {
+    const result = await dynamoDB.send(new UpdateCommand({
+      TableName: COUPONS_TABLE,
+      Key: { code: normalizeCode(code) },
+      UpdateExpression: 'SET active = :false, deactivatedAt = :now',
+      ConditionExpression: 'attribute_exists(code)',
+      ExpressionAttributeValues: { ':false': false, ':now': new Date().toISOString() },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const getUserRedemptions = async (code, userId) => {
+  const result = await dynamoDB.send(new GetCommand({
+    TableName: COUPON_REDEMPTIONS_TABLE,
+    Key: { code, userId }
+  }));
+  return result.Item ? result.Item.redemptionCount : 0;
+};
+
+// Count a redemption against the code and the shopper in one transaction.
+// The conditions repeat the usage limits, so two orders racing for the last
+// use cannot both get it. Resolves to null, or to an error message when a
+// limit was reached in the meantime.
+const recordRedemption = async (coupon, userId) => {
+  const now = new Date().toISOString();
+  const couponValues = { ':one': 1, ':true': true, ':now': now };
+  let couponCondition = 'active = :true';
+  if (coupon.maxRedemptions !== undefined) {
+    couponCondition += ' AND redemptionCount < :max';
+    couponValues[':max'] = coupon.maxRedemptions;
+  }
+
+  const userUpdate = {
+    TableName: COUPON_REDEMPTIONS_TABLE,
+    Key: { code: coupon.code, userId },
+    UpdateExpression: 'ADD redemptionCount :one SET lastRedeemedAt = :now',
+    ExpressionAttributeValues: { ':one': 1, ':now': now }
+  };
+  if (coupon.maxRedemptionsPerUser !== undefined) {
+    userUpdate.ConditionExpression = 'attribute_not_exists(redemptionCount) OR redemptionCount < :max';
+    userUpdate.ExpressionAttributeValues[':max'] = coupon.maxRedemptionsPerUser;
+  }
+
+  try {
+    await dynamoDB.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: COUPONS_TABLE,
+            Key: { code: coupon.code },
+            UpdateExpression: 'ADD redemptionCount :one SET lastRedeemedAt = :now',
+            ConditionExpression: couponCondition,
+            ExpressionAttributeValues: couponValues
+          }
+        },
+        { Update: userUpdate }
+      ]
+    }));
+  } catch (error) {
+    if (error.name !== 'TransactionCanceledException') {
+      throw error;
+    }
+    const reasons = error.CancellationReasons || [];
+    if (reasons[1] && reasons[1].Code === 'ConditionalCheckFailed') {
+      return `You have already used coupon ${coupon.code}`;
+    }
+    if (reasons[0] && reasons[0].Code === 'ConditionalCheckFailed') {
+      return `Coupon ${coupon.code} has reached its usage limit`;
+    }
+    throw error;
+  }
+  return null;
+};
+
+// Undo a redemption whose order was never placed
+const releaseRedemption = async (code, userId) => {
+  await dynamoDB.send(new TransactWriteCommand({
+    TransactItems: [
+      {
+        Update: {
+          TableName: COUPONS_TABLE,
+          Key: { code },
+          UpdateExpression: 'ADD redemptionCount :minusOne',
+          ConditionExpression: 'redemptionCount > :zero',
+          ExpressionAttributeValues: { ':minusOne': -1, ':zero': 0 }
+        }
+      },
+      {
+        Update: {
+          TableName: COUPON_REDEMPTIONS_TABLE,
+          Key: { code, userId },
+          UpdateExpression: 'ADD redemptionCount :minusOne',
+          ConditionExpression: 'redemptionCount > :zero',
+          ExpressionAttributeValues: { ':minusOne': -1, ':zero': 0 }
+        }
+      }
+    ]
+  }));
+};
+
+module.exports = {
+  normalizeCode,
+  validateCoupon,
+  evaluateCoupon,
+  getCoupon,
+  listCoupons,
+  createCoupon,
+  deactivateCoupon,
+  getUserRedemptions,
+  recordRedemption,
+  releaseRedemption
+};
\ No newline at end of file
@@ -0,0 +1,74 @@
+// Minimal RFC 4180 CSV reader/writer for catalog import and export
+
+// Parse CSV text into an array of objects keyed by the header row
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+  const header = nonEmpty[0].map(name => name.trim());
+  return nonEmpty.slice(1).map(values => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = values[index] !== undefined ? values[index] : '';
+    });
+    return record;
+  });
+};
+
+const escapeField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialise objects to CSV using the given column order
+const toCsv = (columns, records) => [
+  columns.join(','),
+  ...records.map(record => columns.map(column => escapeField(record[column])).join(','))
+].join('\n') + '\n';
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
\ No newline at end of file
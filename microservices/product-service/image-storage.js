@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Product images are stored under keys like products/2/<imageId>-thumbnail.jpg
+// through a storage chosen with IMAGE_STORAGE. Each storage exposes
+// put(key, body, contentType), get(key) -> { body, contentType } or null, and
+// delete(key). product-service serves the stored files itself, so image URLs
+// do not depend on where they are kept.
+
+const CONTENT_TYPES = { '.jpg': 'image/jpeg', '.png': 'image/png' };
+
+// Keys are generated by product-service, but reject anything that could step
+// outside the storage root
+const isSafeKey = (key) => /^[A-Za-z0-9/_.-]+$/.test(key) && !key.split('/').includes('..');
+
+// Files under IMAGE_STORAGE_DIR. Only suitable for a single replica or a
+// shared volume.
+const createLocalStorage = (rootDir) => ({
+  name: 'local',
+  put: async (key, body) => {
+    const filePath = path.join(rootDir, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+  },
+  get: async (key) => {
+    if (!isSafeKey(key)) {
+      return null;
+    }
+    try {
+      const body = await fs.promises.readFile(path.join(rootDir, key));
+      return { body, contentType: CONTENT_TYPES[path.extname(key)] || 'application/octet-stream' };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  },
+  delete: async (key) => {
+    await fs.promises.rm(path.join(rootDir, key), { force: true });
+  }
+});
+
+// Any S3-compatible object store. IMAGE_S3_ENDPOINT points at a non-AWS
+// service (MinIO, R2, ...), which usually also needs path-style addressing.
+const createS3Storage = ({ bucket, region, endpoint }) => {
+  const s3 = new S3Client({
+    region,
+    ...(endpoint ? { endpoint, forcePathStyle: true } : {})
+  });
+
+  return {
+    name: 's3',
+    put: async (key, body, contentType) => {
+      await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+    get: async (key) => {
+      if (!isSafeKey(key)) {
+        return null;
+      }
+      try {
+        const result = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { body: Buffer.from(await result.Body.transformToByteArray()), contentType: result.ContentType };
+      } catch (error) {
+        if (error.name === 'NoSuchKey') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    delete: async (key) => {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+const createImageStorage = (env = process.env) => {
+  const type = env.IMAGE_STORAGE || 'local';
+  if (type === 's3') {
+    if (!env.IMAGE_S3_BUCKET) {
+      throw new Error('IMAGE_S3_BUCKET is required when IMAGE_STORAGE=s3');
+    }
+    return createS3Storage({
+      bucket: env.IMAGE_S3_BUCKET,
+      region: env.AWS_REGION || 'ap-southeast-1',
+      endpoint: env.IMAGE_S3_ENDPOINT
+    });
+  }
+  if (type === 'local') {
+    return createLocalStorage(path.resolve(env.IMAGE_STORAGE_DIR || 'uploads'));
+  }
+  throw new Error(`Unknown IMAGE_STORAGE "${type}", expected local or s3`);
+};
+
+module.exports = {
+  createImageStorage,
+  createLocalStorage,
+  createS3Storage
+};
\ No newline at end of file
@@ -0,0 +1,77 @@
+const sharp = require('sharp');
+
+// Uploads are limited to JPEG and PNG; the first bytes must match the declared
+// Content-Type
+const IMAGE_TYPES = {
+  'image/jpeg': { extension: 'jpg', signature: [0xff, 0xd8, 0xff], format: 'jpeg' },
+  'image/png': { extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], format: 'png' }
+};
+
+const MAX_IMAGE_BYTES = (parseInt(process.env.MAX_IMAGE_MB) || 5) * 1024 * 1024;
+const MAX_IMAGES_PER_PRODUCT = 10;
+const MIN_IMAGE_DIMENSION = 200;
+
+// Longest edge of each generated size. Images are never enlarged.
+const IMAGE_SIZES = {
+  thumbnail: 300,
+  detail: 1200
+};
+
+// Returns an error message, or null if the upload looks like the declared type
+const checkImageUpload = (contentType, body) => {
+  const type = IMAGE_TYPES[contentType];
+  if (!type) {
+    return `Content-Type must be one of: ${Object.keys(IMAGE_TYPES).join(', ')}`;
+  }
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    return 'Image body is empty';
+  }
+  if (body.length > MAX_IMAGE_BYTES) {
+    return `Image must be at most ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`;
+  }
+  if (!type.signature.every((byte, index) => body[index] === byte)) {
+    return `File content is not a valid ${contentType} image`;
+  }
+  return null;
+};
+
+// Decode the upload and render every size in the source format. Returns
+// { sizes } or { error } when the image cannot be decoded or is too small.
+const generateImageSizes = async (contentType, body) => {
+  const { format } = IMAGE_TYPES[contentType];
+  let metadata;
+  try {
+    metadata = await sharp(body).metadata();
+  } catch (error) {
+    return { error: 'Image could not be decoded' };
+  }
+  if (metadata.format !== format) {
+    return { error: `File content is not a valid ${contentType} image` };
+  }
+  if (Math.max(metadata.width, metadata.height) < MIN_IMAGE_DIMENSION) {
+    return { error: `Image must be at least ${MIN_IMAGE_DIMENSION}px on its longest edge` };
+  }
+
+  const sizes = {};
+  for (const [size, maxEdge] of Object.entries(IMAGE_SIZES)) {
+    // rotate() applies EXIF orientation before the metadata is stripped
+    const pipeline = sharp(body)
+      .rotate()
+      .resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true });
+    const { data, info } = await (format === 'jpeg'
+      ? pipeline.jpeg({ quality: 82, mozjpeg: true })
+      : pipeline.png({ compressionLevel: 9 })
+    ).toBuffer({ resolveWithObject: true });
+    sizes[size] = { body: data, width: info.width, height: info.height };
+  }
+  return { sizes };
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  IMAGE_SIZES,
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_PRODUCT,
+  checkImageUpload,
+  generateImageSizes
+};
\ No newline at end of file
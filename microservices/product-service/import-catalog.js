@@ -0,0 +1,62 @@
+// Load a catalog file straight into DynamoDB, using the same validation as
+// POST /api/products/import.
+//
+//   node import-catalog.js <file.csv|file.json> [--dry-run]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const catalog = require('./catalog');
+const stockAlerts = require('./stock-alerts');
+const { createNotifier } = require('./notifier');
+
+// Restocks from the file still reach back-in-stock subscribers
+const notifier = createNotifier();
+const notifyStockChanges = async (product, changes) => {
+  try {
+    await stockAlerts.handleStockChanges(product, changes, notifier);
+  } catch (error) {
+    console.error(`Failed to send stock notifications for product ${product.id}: ${error.message}`);
+  }
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const file = args.find(arg => !arg.startsWith('--'));
+  if (!file) {
+    console.error('Usage: node import-catalog.js <file.csv|file.json> [--dry-run]');
+    process.exit(2);
+  }
+
+  const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+  const rows = catalog.parseImportFile(fs.readFileSync(file, 'utf8'), format);
+  const report = await catalog.importProducts(rows, { dryRun, onStockChange: notifyStockChanges });
+
+  for (const { row, id, errors } of report.errors) {
+    console.error(`Row ${row}${id !== undefined ? ` (id ${id})` : ''}: ${errors.join('; ')}`);
+  }
+  if (report.errors.length > 0) {
+    console.error(`${report.errors.length} of ${report.total} rows are invalid, nothing was written`);
+    process.exit(1);
+  }
+
+  const summary = `${report.created} to create, ${report.updated} to update`;
+  console.log(dryRun ? `Dry run OK: ${summary}` : `Imported ${report.written} products: ${summary}`);
+  if (!dryRun && report.conflicts.length > 0) {
+    for (const { row, id, error } of report.conflicts) {
+      console.error(`Row ${row} (id ${id}): ${error}, not written`);
+    }
+    console.error(`${report.conflicts.length} rows were not written; export the catalog again and re-import them`);
+  }
+  if (report.ledgerFailures > 0) {
+    console.error(`${report.ledgerFailures} stock ledger entries could not be written; run a stock reconciliation`);
+  }
+  if (report.priceHistoryFailures > 0) {
+    console.error(`${report.priceHistoryFailures} price history entries could not be written`);
+  }
+};
+
+main().catch(error => {
+  console.error(`Import failed: ${error.message}`);
+  process.exit(1);
+});
\ No newline at end of file
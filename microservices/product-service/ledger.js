@@ -0,0 +1,164 @@
+const { PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('./dynamodb');
+const { getBaseSku } = require('./validation');
+
+const STOCK_LEDGER_TABLE = process.env.STOCK_LEDGER_TABLE || 'shopmate-eks-stock-ledger-dev';
+
+// Why stock moved. Cart and wishlist reasons come from cart-service, the order
+// reasons from order-service and the rest from product-service itself.
+const STOCK_REASONS = [
+  'cart_add',
+  'cart_remove',
+  'cart_expired',
+  'cart_rollback',
+  'wishlist_move',
+  'saved_for_later',
+  'order',
+  'order_cancelled',
+  'order_returned',
+  'manual_adjustment',
+  'catalog_import',
+  'product_created'
+];
+
+// Stock per SKU: each variant, or the product's single base SKU
+const getSkuStocks = (product) => {
+  if (!product) {
+    return {};
+  }
+  if (product.variants) {
+    const stocks = {};
+    for (const [sku, variant] of Object.entries(product.variants)) {
+      stocks[sku] = variant.stock;
+    }
+    return stocks;
+  }
+  return { [product.sku || getBaseSku(product.id)]: product.stock };
+};
+
+// One change per SKU whose stock differs between two versions of a product.
+// SKUs missing on either side count as zero stock.
+const diffStock = (before, after) => {
+  const beforeStocks = getSkuStocks(before);
+  const afterStocks = getSkuStocks(after);
+  const skus = [...new Set([...Object.keys(beforeStocks), ...Object.keys(afterStocks)])];
+  return skus
+    .map(sku => ({ sku, before: beforeStocks[sku] || 0, after: afterStocks[sku] || 0 }))
+    .filter(change => change.before !== change.after);
+};
+
+// Append entries for changes that took the product's stockSeq up to lastSeq.
+// The condition makes entries write-once; a clash means the sequence was
+// already used and is reported by reconciliation.
+const recordStockChanges = async (productId, lastSeq, changes, { reason, source, reference }) => {
+  const createdAt = new Date().toISOString();
+  const firstSeq = lastSeq - changes.length + 1;
+  await Promise.all(changes.map((change, index) => dynamoDB.send(new PutCommand({
+    TableName: STOCK_LEDGER_TABLE,
+    Item: {
+      productId,
+      seq: firstSeq + index,
+      sku: change.sku,
+      reason,
+      source,
+      ...(reference ? { reference } : {}),
+      ...(change.quantity !== undefined ? { quantity: change.quantity } : {}),
+      change: change.after - change.before,
+      before: change.before,
+      after: change.after,
+      createdAt
+    },
+    ConditionExpression: 'attribute_not_exists(seq)'
+  }))));
+};
+
+// One page of a product's ledger, newest first
+const getStockHistory = async (productId, { sku, limit, startKey }) => {
+  const params = {
+    TableName: STOCK_LEDGER_TABLE,
+    KeyConditionExpression: 'productId = :productId',
+    ExpressionAttributeValues: { ':productId': productId },
+    ScanIndexForward: false,
+    Limit: limit,
+    ExclusiveStartKey: startKey || undefined
+  };
+  if (sku) {
+    // Limit applies before the filter, so a SKU page can come back short
+    params.FilterExpression = 'sku = :sku';
+    params.ExpressionAttributeValues[':sku'] = sku;
+  }
+  const result = await dynamoDB.send(new QueryCommand(params));
+  return { entries: result.Items || [], lastKey: result.LastEvaluatedKey };
+};
+
+const getAllEntries = async (productId) => {
+  const entries = [];
+  let startKey;
+  do {
+    const result = await dynamoDB.send(new QueryCommand({
+      TableName: STOCK_LEDGER_TABLE,
+      KeyConditionExpression: 'productId = :productId',
+      ExpressionAttributeValues: { ':productId': productId },
+      ExclusiveStartKey: startKey
+    }));
+    entries.push(...(result.Items || []));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return entries;
+};
+
+// Replay a product's ledger and compare it with the stored stock. Each SKU's
+// history starts from the `before` of its first entry, so stock that predates
+// the ledger is taken as the opening balance. Flags missing sequence numbers
+// (a change whose entry was never written), entries whose `before` does not
+// follow on from the previous `after`, and SKUs whose stock differs from the
+// replayed total.
+const reconcileProduct = async (product) => {
+  const entries = await getAllEntries(product.id);
+  const lastSeq = product.stockSeq || 0;
+  const seen = new Set(entries.map(entry => entry.seq));
+  const missingSeqs = [];
+  for (let seq = 1; seq <= lastSeq; seq++) {
+    if (!seen.has(seq)) {
+      missingSeqs.push(seq);
+    }
+  }
+
+  const replayed = {};
+  for (const entry of entries) {
+    const state = replayed[entry.sku] || { ledgerStock: entry.before, breaks: [] };
+    if (entry.before !== state.ledgerStock) {
+      state.breaks.push(entry.seq);
+    }
+    state.ledgerStock += entry.change;
+    replayed[entry.sku] = state;
+  }
+
+  const stocks = getSkuStocks(product);
+  const skus = [...new Set([...Object.keys(stocks), ...Object.keys(replayed)])].map(sku => {
+    const stock = stocks[sku] || 0;
+    if (!replayed[sku]) {
+      return { sku, stock, ledgerStock: null, drift: 0, breaks: [], tracked: false };
+    }
+    const { ledgerStock, breaks } = replayed[sku];
+    return { sku, stock, ledgerStock, drift: stock - ledgerStock, breaks, tracked: true };
+  });
+
+  return {
+    productId: product.id,
+    stockSeq: lastSeq,
+    entries: entries.length,
+    missingSeqs,
+    skus,
+    drifted: missingSeqs.length > 0 || skus.some(sku => sku.drift !== 0 || sku.breaks.length > 0)
+  };
+};
+
+module.exports = {
+  STOCK_REASONS,
+  getSkuStocks,
+  diffStock,
+  recordStockChanges,
+  getStockHistory,
+  reconcileProduct
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const axios = require('axios');
+
+// Stock events (low_stock, back_in_stock) go through a notifier chosen with
+// NOTIFIER. Each notifier exposes notify(event), which resolves once the event
+// has been delivered.
+
+// Writes each event to stdout and, if NOTIFIER_FILE is set, appends it to
+// that file as a JSON line
+const createLogNotifier = (filePath) => ({
+  name: 'log',
+  notify: async (event) => {
+    const line = JSON.stringify(event);
+    console.log(`[ALERT] ${new Date().toISOString()} - ${line}`);
+    if (filePath) {
+      await fs.promises.appendFile(filePath, `${line}\n`);
+    }
+  }
+});
+
+// POSTs each event as JSON to NOTIFIER_WEBHOOK_URL (e.g. a Slack or ops hook)
+const createWebhookNotifier = (url, timeoutMs) => ({
+  name: 'webhook',
+  notify: async (event) => {
+    await axios.post(url, event, { timeout: timeoutMs });
+  }
+});
+
+const createNotifier = (env = process.env) => {
+  const type = env.NOTIFIER || 'log';
+  if (type === 'webhook') {
+    if (!env.NOTIFIER_WEBHOOK_URL) {
+      throw new Error('NOTIFIER_WEBHOOK_URL is required when NOTIFIER=webhook');
+    }
+    return createWebhookNotifier(env.NOTIFIER_WEBHOOK_URL, parseInt(env.NOTIFIER_TIMEOUT_MS) || 5000);
+  }
+  if (type === 'log') {
+    return createLogNotifier(env.NOTIFIER_FILE);
+  }
+  throw new Error(`Unknown NOTIFIER "${type}", expected log or webhook`);
+};
+
+module.exports = {
+  createNotifier,
+  createLogNotifier,
+  createWebhookNotifier
+};
\ No newline at end of file
@@ -0,0 +1,202 @@
+const { PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const uuid = require('uuid');
+const { dynamoDB } = require('./dynamodb');
+
+const PRICE_HISTORY_TABLE = process.env.PRICE_HISTORY_TABLE || 'shopmate-eks-price-history-dev';
+
+// Promotions that have ended are pruned from the product when a new one is
+// scheduled, so this only bounds the current and upcoming ones
+const MAX_PROMOTIONS = 20;
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// A promotion runs from startsAt up to, but not including, endsAt. Both are
+// stored as UTC ISO strings, so they compare as strings.
+const isPromotionActive = (promotion, at) => promotion.startsAt <= at && at < promotion.endsAt;
+
+const getActivePromotion = (product, at = new Date().toISOString()) =>
+  (product.promotions || []).find(promotion => isPromotionActive(promotion, at)) || null;
+
+// Price of a SKU before promotions: the variant's own price, else the product price
+const getRegularPrice = (product, sku) => {
+  const variant = product.variants && product.variants[sku];
+  return variant && variant.price !== undefined ? variant.price : product.price;
+};
+
+// percentOff discounts every SKU. salePrice stands in for the product price,
+// so variants with a price of their own are not affected by it. A promotion
+// never raises a price.
+const applyPromotion = (promotion, regularPrice, hasOwnPrice) => {
+  if (!promotion) {
+    return regularPrice;
+  }
+  if (promotion.percentOff !== undefined) {
+    return roundPrice(regularPrice * (100 - promotion.percentOff) / 100);
+  }
+  return hasOwnPrice ? regularPrice : Math.min(promotion.salePrice, regularPrice);
+};
+
+// Copy of a product as returned by the API: effectivePrice on the product and
+// on each variant, and the promotion currently running (or null). Prices are
+// worked out on read, so promotions start and end without any write.
+const withPricing = (product, at = new Date().toISOString()) => {
+  const activePromotion = getActivePromotion(product, at);
+  const priced = {
+    ...product,
+    effectivePrice: applyPromotion(activePromotion, product.price, false),
+    activePromotion
+  };
+  if (product.variants) {
+    priced.variants = {};
+    for (const [sku, variant] of Object.entries(product.variants)) {
+      priced.variants[sku] = {
+        ...variant,
+        effectivePrice: applyPromotion(activePromotion, getRegularPrice(product, sku), variant.price !== undefined)
+      };
+    }
+  }
+  return priced;
+};
+
+const parseTimestamp = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Validate a promotion payload. Returns the cleaned promotion and a list of
+// error messages, like validateProduct.
+const validatePromotion = (input, now = new Date().toISOString()) => {
+  const errors = [];
+  const promotion = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { promotion, errors: ['Request body must be a JSON object'] };
+  }
+
+  const allowed = ['label', 'startsAt', 'endsAt', 'salePrice', 'percentOff'];
+  for (const key of Object.keys(input)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${key} is not a promotion field`);
+    }
+  }
+
+  if (input.label !== undefined) {
+    if (typeof input.label !== 'string' || input.label.trim() === '' || input.label.length > 100) {
+      errors.push('label must be 1-100 characters');
+    } else {
+      promotion.label = input.label.trim();
+    }
+  }
+
+  const startsAt = parseTimestamp(input.startsAt);
+  const endsAt = parseTimestamp(input.endsAt);
+  if (!startsAt) {
+    errors.push('startsAt must be an ISO 8601 date-time');
+  }
+  if (!endsAt) {
+    errors.push('endsAt must be an ISO 8601 date-time');
+  }
+  if (startsAt && endsAt) {
+    if (endsAt <= startsAt) {
+      errors.push('endsAt must be after startsAt');
+    } else if (endsAt <= now) {
+      errors.push('endsAt must be in the future');
+    }
+    promotion.startsAt = startsAt;
+    promotion.endsAt = endsAt;
+  }
+
+  const hasSalePrice = input.salePrice !== undefined;
+  const hasPercentOff = input.percentOff !== undefined;
+  if (hasSalePrice === hasPercentOff) {
+    errors.push('Provide either salePrice or percentOff');
+  } else if (hasSalePrice) {
+    if (typeof input.salePrice !== 'number' || !Number.isFinite(input.salePrice) || input.salePrice < 0) {
+      errors.push('salePrice must be a non-negative number');
+    } else {
+      promotion.salePrice = input.salePrice;
+    }
+  } else if (typeof input.percentOff !== 'number' || !Number.isFinite(input.percentOff) || input.percentOff <= 0 || input.percentOff >= 100) {
+    errors.push('percentOff must be a number between 0 and 100');
+  } else {
+    promotion.percentOff = input.percentOff;
+  }
+
+  return { promotion, errors };
+};
+
+// The first of a product's promotions whose window overlaps the given one
+const findOverlappingPromotion = (promotions, { startsAt, endsAt }) =>
+  promotions.find(promotion => promotion.startsAt < endsAt && startsAt < promotion.endsAt) || null;
+
+// Stored prices of a product keyed by field path: the product price, its
+// compare-at price and each variant's own price
+const getPriceFields = (product) => {
+  if (!product) {
+    return {};
+  }
+  const fields = { price: product.price, compareAtPrice: product.compareAtPrice };
+  for (const [sku, variant] of Object.entries(product.variants || {})) {
+    fields[`variants.${sku}.price`] = variant.price;
+  }
+  return fields;
+};
+
+// One change per price field that differs between two versions of a product.
+// Fields missing on either side are null.
+const diffPrices = (before, after) => {
+  const beforeFields = getPriceFields(before);
+  const afterFields = getPriceFields(after);
+  const fields = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])];
+  return fields
+    .map(field => ({
+      field,
+      before: beforeFields[field] !== undefined ? beforeFields[field] : null,
+      after: afterFields[field] !== undefined ? afterFields[field] : null
+    }))
+    .filter(change => change.before !== change.after);
+};
+
+// Append an entry to the product's price history. changeId sorts entries by
+// time and stays unique when two changes land in the same millisecond.
+const recordPriceChange = async (productId, { reason, source, changes = [], promotion }) => {
+  const changedAt = new Date().toISOString();
+  await dynamoDB.send(new PutCommand({
+    TableName: PRICE_HISTORY_TABLE,
+    Item: {
+      productId,
+      changeId: `${changedAt}#${uuid.v4()}`,
+      reason,
+      source,
+      changes,
+      ...(promotion ? { promotion } : {}),
+      changedAt
+    }
+  }));
+};
+
+// One page of a product's price history, newest first
+const getPriceHistory = async (productId, { limit, startKey }) => {
+  const result = await dynamoDB.send(new QueryCommand({
+    TableName: PRICE_HISTORY_TABLE,
+    KeyConditionExpression: 'productId = :productId',
+    ExpressionAttributeValues: { ':productId': productId },
+    ScanIndexForward: false,
+    Limit: limit,
+    ExclusiveStartKey: startKey || undefined
+  }));
+  return { entries: result.Items || [], lastKey: result.LastEvaluatedKey };
+};
+
+module.exports = {
+  MAX_PROMOTIONS,
+  withPricing,
+  validatePromotion,
+  findOverlappingPromotion,
+  diffPrices,
+  recordPriceChange,
+  getPriceHistory
+}
\ No newline at end of file
@@ -1,8 +1,23 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
+const axios = require('axios');
+const uuid = require('uuid');
 const promClient = require('prom-client');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, ScanCommand, GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand, GetCommand, PutCommand, UpdateCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { validateProduct, getBaseSku, isBaseSku, getSearchText } = require('./validation');
+const categories = require('./categories');
+const catalog = require('./catalog');
+const ledger = require('./ledger');
+const pricing = require('./pricing');
+const coupons = require('./coupons');
+const stockAlerts = require('./stock-alerts');
+const { createNotifier } = require('./notifier');
+const images = require('./images');
+const { createImageStorage } = require('./image-storage');
+const { createCache } = require('./cache');
+const { batchGet } = require('./dynamodb');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -20,7 +35,48 @@ const productViews = new promClient.Counter({
   help: 'Total product views'
 });
 
-app.use(express.json());
+const reviewsCreated = new promClient.Counter({
+  name: 'product_service_reviews_created_total',
+  help: 'Total product reviews submitted'
+});
+
+const ledgerWriteFailures = new promClient.Counter({
+  name: 'product_service_stock_ledger_write_failures_total',
+  help: 'Stock changes whose ledger entry could not be written'
+});
+
+const stockAlertsSent = new promClient.Counter({
+  name: 'product_service_stock_alerts_total',
+  help: 'Stock notifications delivered',
+  labelNames: ['type']
+});
+
+const couponRedemptions = new promClient.Counter({
+  name: 'product_service_coupon_redemptions_total',
+  help: 'Coupons redeemed by orders',
+  labelNames: ['code']
+});
+
+const cacheLookups = new promClient.Counter({
+  name: 'product_service_cache_requests_total',
+  help: 'Catalog cache lookups',
+  labelNames: ['cache', 'result']
+});
+
+// Refreshed on scrape, at most once per LOW_STOCK_GAUGE_SECONDS
+const lowStockProducts = new promClient.Gauge({
+  name: 'product_service_low_stock_products',
+  help: 'Listed products with a SKU at or below its reorder threshold',
+  async collect() {
+    const count = await countLowStockProducts();
+    if (count !== null) {
+      this.set(count);
+    }
+  }
+});
+
+// Catalog imports can be a few thousand rows, well over the 100kb default
+app.use(express.json({ limit: '5mb' }));
 
 // Logging helper
 const log = {
@@ -42,10 +98,147 @@ app.use((req, res, next) => {
   next();
 });
 
+// Admin authentication for catalog management routes
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_API_TOKEN) {
+    log.warn(`${req.method} ${req.path} - Rejected, ADMIN_API_TOKEN is not configured`);
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+  if (req.get('X-Admin-Token') !== ADMIN_API_TOKEN) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+};
+
+// Service authentication for the stock and coupon redemption routes that
+// cart-service and order-service call. They are reachable through the public
+// ingress, so they need a token only those services hold.
+const SERVICE_API_TOKEN = process.env.SERVICE_API_TOKEN;
+
+const requireService = (req, res, next) => {
+  if (!SERVICE_API_TOKEN) {
+    log.warn(`${req.method} ${req.path} - Rejected, SERVICE_API_TOKEN is not configured`);
+    return res.status(503).json({ error: 'Service API is not configured' });
+  }
+  if (req.get('X-Service-Token') !== SERVICE_API_TOKEN) {
+    return res.status(401).json({ error: 'Invalid service token' });
+  }
+  next();
+};
+
 // DynamoDB setup
 const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
 const docClient = DynamoDBDocumentClient.from(client);
 const PRODUCTS_TABLE = process.env.PRODUCTS_TABLE || 'shopmate-eks-products-dev';
+const REVIEWS_TABLE = process.env.REVIEWS_TABLE || 'shopmate-eks-reviews-dev';
+
+const BASE_URL = process.env.BASE_URL || 'https://shopmate-eks.dev.sctp-sandbox.com';
+const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || BASE_URL;
+
+// Delivers low-stock and back-in-stock events (NOTIFIER=log|webhook)
+const notifier = createNotifier();
+
+// Uploaded product images (IMAGE_STORAGE=local|s3), served from MEDIA_PATH
+const imageStorage = createImageStorage();
+const MEDIA_PATH = '/api/products/media';
+
+// Catalog read caches: product records by id, and the scan pages behind
+// listings and category counts. Writes made through this replica update or
+// drop the entries straight away; other replicas catch up within the TTL.
+const CACHE_TTL_SECONDS = parseInt(process.env.PRODUCT_CACHE_TTL_SECONDS) || 15;
+const productCache = createCache({ name: 'product', ttlMs: CACHE_TTL_SECONDS * 1000 });
+const scanCache = createCache({ name: 'scan', ttlMs: CACHE_TTL_SECONDS * 1000, maxEntries: 200 });
+
+const readThrough = async (cache, key, load) => {
+  const cached = cache.get(key);
+  if (cached !== undefined) {
+    cacheLookups.inc({ cache: cache.name, result: 'hit' });
+    return cached;
+  }
+  cacheLookups.inc({ cache: cache.name, result: 'miss' });
+  const loadedAt = cache.generation;
+  const value = await load();
+  cache.setIfCurrent(key, value, loadedAt);
+  return value;
+};
+
+// Scan pages are cached as DynamoDB returned them. Pricing is applied after
+// the cache, so promotions still start and end on time.
+const cachedScan = (params) => readThrough(scanCache, JSON.stringify(params), async () => {
+  const result = await docClient.send(new ScanCommand(params));
+  return { Items: result.Items || [], LastEvaluatedKey: result.LastEvaluatedKey };
+});
+
+// Product record by id, or null if there is none
+const getCachedProduct = (productId) => readThrough(productCache, productId, async () => {
+  const result = await docClient.send(new GetCommand({
+    TableName: PRODUCTS_TABLE,
+    Key: { id: productId }
+  }));
+  return result.Item || null;
+});
+
+// Products by id in the order asked for, leaving out ids with no product.
+// Cached products are used as they are and the rest are read in one batch.
+const getCachedProducts = async (ids) => {
+  const found = new Map();
+  const uncached = [];
+  for (const id of ids) {
+    const cached = productCache.get(id);
+    if (cached === undefined) {
+      cacheLookups.inc({ cache: productCache.name, result: 'miss' });
+      uncached.push(id);
+    } else {
+      cacheLookups.inc({ cache: productCache.name, result: 'hit' });
+      found.set(id, cached);
+    }
+  }
+
+  if (uncached.length > 0) {
+    const loadedAt = productCache.generation;
+    const items = await batchGet(PRODUCTS_TABLE, uncached.map(id => ({ id })));
+    for (const item of items) {
+      found.set(item.id, item);
+    }
+    for (const id of uncached) {
+      productCache.setIfCurrent(id, found.get(id) || null, loadedAt);
+    }
+  }
+  return ids.map(id => found.get(id)).filter(Boolean);
+};
+
+// Call after every product write. Given the updated item the cached product
+// is replaced with it, otherwise dropped. Any scan page may hold the product,
+// so they are all dropped.
+const invalidateProduct = (productId, item) => {
+  productCache.delete(productId);
+  if (item) {
+    productCache.set(productId, item);
+  }
+  scanCache.clear();
+};
+
+const invalidateCatalog = () => {
+  productCache.clear();
+  scanCache.clear();
+};
+
+// Catalog responses carry a strong ETag over the body. A client that sends it
+// back in If-None-Match gets a 304 without the body.
+const CACHE_MAX_AGE_SECONDS = parseInt(process.env.PRODUCT_CACHE_MAX_AGE_SECONDS) || 10;
+
+const sendCacheable = (req, res, body) => {
+  const json = JSON.stringify(body);
+  res.set('ETag', `"${crypto.createHash('sha1').update(json).digest('base64url')}"`);
+  res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.type('json').send(json);
+};
+
 // Sample products for initialization
 const sampleProducts = [
   {
@@ -54,7 +247,17 @@ const sampleProducts = [
     price: 699.99,
     description: 'Latest flagship smartphone with advanced features',
     image: '/images/smartphone.jpg',
-    stock: 50
+    stock: 50,
+    weightKg: 0.2,
+    category: 'smartphones',
+    brand: 'Novatek',
+    tags: ['5g', 'flagship', 'camera'],
+    options: [{ name: 'Color', values: ['Midnight Black', 'Glacier Silver', 'Ocean Blue'] }],
+    variants: {
+      'X12-BLK': { options: { Color: 'Midnight Black' }, stock: 20 },
+      'X12-SLV': { options: { Color: 'Glacier Silver' }, stock: 15 },
+      'X12-BLU': { options: { Color: 'Ocean Blue' }, stock: 15 }
+    }
   },
   {
     id: 2,
@@ -62,7 +265,12 @@ const sampleProducts = [
     price: 1299.99,
     description: 'High-performance laptop for professionals',
     image: '/images/laptop.jpg',
-    stock: 30
+    stock: 30,
+    weightKg: 2.1,
+    category: 'laptops',
+    brand: 'Ultra',
+    tags: ['4k', 'professional'],
+    sku: 'PRD-2'
   },
   {
     id: 3,
@@ -70,7 +278,12 @@ const sampleProducts = [
     price: 199.99,
     description: 'Premium wireless headphones with noise cancellation',
     image: '/images/headphones.jpg',
-    stock: 100
+    stock: 100,
+    weightKg: 0.3,
+    category: 'headphones',
+    brand: 'SoundWave',
+    tags: ['wireless', 'noise-cancelling'],
+    sku: 'PRD-3'
   },
   {
     id: 4,
@@ -78,7 +291,16 @@ const sampleProducts = [
     price: 249.99,
     description: 'Advanced fitness tracking smartwatch',
     image: '/images/smartwatch.jpg',
-    stock: 45
+    stock: 45,
+    weightKg: 0.1,
+    category: 'smartwatches',
+    brand: 'FitTech',
+    tags: ['fitness', 'gps'],
+    options: [{ name: 'Size', values: ['40mm', '44mm'] }],
+    variants: {
+      'FTP-40': { options: { Size: '40mm' }, stock: 25 },
+      'FTP-44': { options: { Size: '44mm' }, price: 269.99, stock: 20 }
+    }
   },
   {
     id: 5,
@@ -86,10 +308,96 @@ const sampleProducts = [
     price: 499.99,
     description: 'Ultra-thin tablet for creativity and productivity',
     image: '/images/tablet.jpg',
-    stock: 25
+    stock: 25,
+    weightKg: 0.5,
+    category: 'tablets',
+    brand: 'Slim',
+    tags: ['stylus', 'portable'],
+    sku: 'PRD-5'
   }
 ];
 
+// Spread existing stock over the sample variants, remainder to the first
+const splitStockOverVariants = (stock, sampleVariants) => {
+  const skus = Object.keys(sampleVariants);
+  const share = Math.floor(stock / skus.length);
+  const variants = {};
+  skus.forEach((sku, index) => {
+    variants[sku] = {
+      ...sampleVariants[sku],
+      stock: share + (index === 0 ? stock - share * skus.length : 0)
+    };
+  });
+  return variants;
+};
+
+// Seeded products created before categories, variants and shipping weights
+// existed get their category, brand, tags, SKUs and weightKg from the sample
+// data. Products stored before searches were case-insensitive get their
+// searchText.
+const backfillCatalogFields = async (existingProducts) => {
+  for (const product of existingProducts) {
+    if (!product.searchText) {
+      await docClient.send(new UpdateCommand({
+        TableName: PRODUCTS_TABLE,
+        Key: { id: product.id },
+        UpdateExpression: 'SET searchText = :searchText',
+        ExpressionAttributeValues: { ':searchText': getSearchText(product) }
+      }));
+      log.info(`Backfilled search text for product ${product.id}`);
+    }
+
+    const sample = sampleProducts.find(p => p.id === product.id);
+    if (!sample) {
+      continue;
+    }
+
+    if (!product.category) {
+      await docClient.send(new UpdateCommand({
+        TableName: PRODUCTS_TABLE,
+        Key: { id: product.id },
+        UpdateExpression: 'SET category = :category, brand = :brand, tags = :tags',
+        ExpressionAttributeValues: { ':category': sample.category, ':brand': sample.brand, ':tags': sample.tags }
+      }));
+      log.info(`Backfilled category for product ${product.id}`);
+    }
+
+    if (product.weightKg === undefined) {
+      await docClient.send(new UpdateCommand({
+        TableName: PRODUCTS_TABLE,
+        Key: { id: product.id },
+        UpdateExpression: 'SET weightKg = :weightKg',
+        ExpressionAttributeValues: { ':weightKg': sample.weightKg }
+      }));
+      log.info(`Backfilled weight for product ${product.id}`);
+    }
+
+    if (sample.variants && !product.variants) {
+      // Guard on the stock we split so a concurrent reservation is not lost
+      await docClient.send(new UpdateCommand({
+        TableName: PRODUCTS_TABLE,
+        Key: { id: product.id },
+        UpdateExpression: 'SET options = :options, variants = :variants',
+        ConditionExpression: 'stock = :stock AND attribute_not_exists(variants)',
+        ExpressionAttributeValues: {
+          ':options': sample.options,
+          ':variants': splitStockOverVariants(product.stock, sample.variants),
+          ':stock': product.stock
+        }
+      }));
+      log.info(`Backfilled variants for product ${product.id}`);
+    } else if (!sample.variants && !product.sku) {
+      await docClient.send(new UpdateCommand({
+        TableName: PRODUCTS_TABLE,
+        Key: { id: product.id },
+        UpdateExpression: 'SET sku = :sku',
+        ExpressionAttributeValues: { ':sku': sample.sku }
+      }));
+      log.info(`Backfilled SKU for product ${product.id}`);
+    }
+  }
+};
+
 // Initialize products if table is empty
 const initializeProducts = async () => {
   try {
@@ -105,83 +413,1714 @@ const initializeProducts = async () => {
       for (const product of sampleProducts) {
         await docClient.send(new PutCommand({
           TableName: PRODUCTS_TABLE,
-          Item: product
+          Item: { ...product, searchText: getSearchText(product) }
         }));
       }
       
       log.info('Products initialized successfully');
     } else {
       log.info(`Found ${existingProducts.length} existing products`);
+      await backfillCatalogFields(existingProducts);
     }
+    // Requests may have been served while seeding or backfilling
+    invalidateCatalog();
   } catch (error) {
     log.error(`Error initializing products: ${error.message}`);
   }
 };
 
-// Get all products
+// Product listing query helpers
+const SORT_OPTIONS = ['price_asc', 'price_desc', 'name', 'newest'];
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+const MAX_SCAN_ROUNDS = 10;
+
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseProductQuery = (query) => {
+  const errors = [];
+  const options = {
+    search: (query.q || '').trim(),
+    inStock: query.inStock === 'true' || query.inStock === '1',
+    sort: query.sort || null,
+    limit: DEFAULT_PAGE_SIZE,
+    startKey: null,
+    offset: 0
+  };
+
+  for (const field of ['minPrice', 'maxPrice']) {
+    if (query[field] !== undefined && query[field] !== '') {
+      const value = parseFloat(query[field]);
+      if (isNaN(value) || value < 0) {
+        errors.push(`${field} must be a non-negative number`);
+      } else {
+        options[field] = value;
+      }
+    }
+  }
+
+  if (options.minPrice !== undefined && options.maxPrice !== undefined && options.minPrice > options.maxPrice) {
+    errors.push('minPrice cannot be greater than maxPrice');
+  }
+
+  if (options.sort && !SORT_OPTIONS.includes(options.sort)) {
+    errors.push(`sort must be one of: ${SORT_OPTIONS.join(', ')}`);
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    } else {
+      options.limit = limit;
+    }
+  }
+
+  if (query.category) {
+    if (!categories.isCategory(query.category)) {
+      errors.push('category must be a known category slug');
+    } else {
+      options.category = query.category;
+    }
+  }
+  if (query.brand) {
+    options.brand = query.brand;
+  }
+  if (query.tag) {
+    options.tag = query.tag.toLowerCase();
+  }
+
+  // Sorted listings page by position in the sorted result, unsorted ones
+  // resume the scan where the previous page stopped
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (options.sort && cursor && Number.isInteger(cursor.offset) && cursor.offset >= 0) {
+      options.offset = cursor.offset;
+    } else if (!options.sort && cursor && cursor.offset === undefined) {
+      options.startKey = cursor;
+    } else {
+      errors.push('cursor is invalid');
+    }
+  }
+
+  return { options, errors };
+};
+
+// Build the scan FilterExpression for the requested filters
+const buildProductFilter = (options) => {
+  // Archived products stay readable by id (carts and orders reference them)
+  // but never appear in listings
+  const conditions = ['(attribute_not_exists(archived) OR archived = :false)'];
+  const values = { ':false': false };
+
+  if (options.search) {
+    values[':search'] = options.search.toLowerCase();
+    conditions.push('contains(searchText, :search)');
+  }
+  // Price ranges apply to the effective price, which is worked out after the
+  // scan. A promotion never raises a price, so anything whose regular price is
+  // below minPrice can be skipped here already.
+  if (options.minPrice !== undefined) {
+    values[':minPrice'] = options.minPrice;
+    conditions.push('price >= :minPrice');
+  }
+  if (options.inStock) {
+    values[':zero'] = 0;
+    conditions.push('stock > :zero');
+  }
+  if (options.category) {
+    // A category matches its own products and those of every subcategory
+    const slugs = categories.getDescendantSlugs(options.category);
+    slugs.forEach((slug, i) => {
+      values[`:category${i}`] = slug;
+    });
+    conditions.push(`category IN (${slugs.map((slug, i) => `:category${i}`).join(', ')})`);
+  }
+  if (options.brand) {
+    values[':brand'] = options.brand;
+    conditions.push('brand = :brand');
+  }
+  if (options.tag) {
+    values[':tag'] = options.tag;
+    conditions.push('contains(tags, :tag)');
+  }
+
+  return {
+    FilterExpression: conditions.join(' AND '),
+    ExpressionAttributeValues: values
+  };
+};
+
+const isInPriceRange = (product, options) =>
+  (options.minPrice === undefined || product.effectivePrice >= options.minPrice) &&
+  (options.maxPrice === undefined || product.effectivePrice <= options.maxPrice);
+
+// Ties are broken by id so pages of a sorted listing do not overlap
+const sortProducts = (products, sort) => {
+  const sorted = [...products];
+  switch (sort) {
+    case 'price_asc':
+      return sorted.sort((a, b) => a.effectivePrice - b.effectivePrice || a.id - b.id);
+    case 'price_desc':
+      return sorted.sort((a, b) => b.effectivePrice - a.effectivePrice || a.id - b.id);
+    case 'name':
+      return sorted.sort((a, b) => a.name.localeCompare(b.name) || a.id - b.id);
+    case 'newest':
+      // Seeded products have no createdAt; ids are assigned in creation order
+      return sorted.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || '') || b.id - a.id);
+    default:
+      return sorted;
+  }
+};
+
+const MAX_BATCH_IDS = 100;
+
+// ?ids=1,2,3 (or repeated ids=) as de-duplicated numeric ids
+const parseIds = (value) => {
+  const parts = String(value).split(',').map(part => part.trim()).filter(part => part !== '');
+  if (parts.length === 0 || parts.length > MAX_BATCH_IDS) {
+    return { error: `ids must list 1 to ${MAX_BATCH_IDS} product ids` };
+  }
+  const ids = parts.map(Number);
+  if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+    return { error: 'ids must be positive integers' };
+  }
+  return { ids: [...new Set(ids)] };
+};
+
+// Look up several products in one request (carts and checkout). Unlike the
+// listing, archived products are included; ids with no product are listed in
+// missing.
+const sendProductsById = async (req, res) => {
+  const { ids, error } = parseIds(req.query.ids);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid query parameters', details: [error] });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const products = await getCachedProducts(ids);
+    const foundIds = new Set(products.map(product => product.id));
+    sendCacheable(req, res, {
+      products: products.map(product => pricing.withPricing(product, now)),
+      missing: ids.filter(id => !foundIds.has(id))
+    });
+  } catch (error) {
+    log.error(`Error getting products by id: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get products' });
+  }
+};
+
+// Every listed product matching the filters, priced as of now. Sorting has
+// to see the whole result, so all scan pages are read.
+const scanMatchingProducts = async (filter, options, now) => {
+  const products = [];
+  let startKey;
+  do {
+    const result = await cachedScan({
+      TableName: PRODUCTS_TABLE,
+      ExclusiveStartKey: startKey,
+      ...filter
+    });
+    products.push(...(result.Items || [])
+      .map(item => pricing.withPricing(item, now))
+      .filter(product => isInPriceRange(product, options)));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return products;
+};
+
+// Get products (search, filter, sort and cursor pagination), or specific
+// products with ?ids=
 app.get('/api/products', async (req, res) => {
+  if (req.query.ids !== undefined) {
+    return sendProductsById(req, res);
+  }
+
+  const { options, errors } = parseProductQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+  }
+
   try {
-    const result = await docClient.send(new ScanCommand({
-      TableName: PRODUCTS_TABLE
-    }));
+    const filter = buildProductFilter(options);
+    const now = new Date().toISOString();
+
+    // DynamoDB scans are unordered, so a sorted listing sorts every match and
+    // pages over the sorted list
+    if (options.sort) {
+      const sorted = sortProducts(await scanMatchingProducts(filter, options, now), options.sort);
+      const end = options.offset + options.limit;
+      productViews.inc();
+      return sendCacheable(req, res, {
+        products: sorted.slice(options.offset, end),
+        nextCursor: end < sorted.length ? encodeCursor({ offset: end }) : null
+      });
+    }
+
+    const products = [];
+    let startKey = options.startKey;
+    let rounds = 0;
+
+    // Limit is applied before the filter, so keep scanning until the page is
+    // full. Asking only for the remaining count means LastEvaluatedKey always
+    // points at the last item scanned and the next page resumes after it.
+    do {
+      const result = await cachedScan({
+        TableName: PRODUCTS_TABLE,
+        Limit: options.limit - products.length,
+        ExclusiveStartKey: startKey || undefined,
+        ...filter
+      });
+      products.push(...(result.Items || [])
+        .map(item => pricing.withPricing(item, now))
+        .filter(product => isInPriceRange(product, options)));
+      startKey = result.LastEvaluatedKey;
+      rounds++;
+    } while (startKey && products.length < options.limit && rounds < MAX_SCAN_ROUNDS);
+
     productViews.inc();
-    res.json(result.Items || []);
+    sendCacheable(req, res, {
+      products,
+      nextCursor: startKey ? encodeCursor(startKey) : null
+    });
   } catch (error) {
     log.error(`Error getting products: ${error.message}`);
     res.status(500).json({ error: 'Failed to get products' });
   }
 });
 
+// Category and brand of every listed (non-archived) product, for facet counts
+const scanCatalogFacets = async () => {
+  const products = [];
+  let startKey;
+  do {
+    const result = await cachedScan({
+      TableName: PRODUCTS_TABLE,
+      ProjectionExpression: 'id, category, brand',
+      FilterExpression: 'attribute_not_exists(archived) OR archived = :false',
+      ExpressionAttributeValues: { ':false': false },
+      ExclusiveStartKey: startKey
+    });
+    products.push(...(result.Items || []));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return products;
+};
+
+const countBrands = (products) => {
+  const counts = {};
+  for (const product of products) {
+    if (product.brand) {
+      counts[product.brand] = (counts[product.brand] || 0) + 1;
+    }
+  }
+  return Object.entries(counts)
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+// Category tree with per-category product counts
+app.get('/api/categories', async (req, res) => {
+  try {
+    const products = await scanCatalogFacets();
+    sendCacheable(req, res, {
+      categories: categories.buildCategoryCounts(products),
+      brands: countBrands(products),
+      total: products.length
+    });
+  } catch (error) {
+    log.error(`Error getting categories: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get categories' });
+  }
+});
+
+// Single category with breadcrumb, subcategory counts and brand facets
+app.get('/api/categories/:slug', async (req, res) => {
+  const category = categories.getCategory(req.params.slug);
+  if (!category) {
+    return res.status(404).json({ error: 'Category not found' });
+  }
+
+  try {
+    const slugs = categories.getDescendantSlugs(category.slug);
+    const products = (await scanCatalogFacets()).filter(product => slugs.includes(product.category));
+    const countIn = (slug) => {
+      const childSlugs = categories.getDescendantSlugs(slug);
+      return products.filter(product => childSlugs.includes(product.category)).length;
+    };
+
+    sendCacheable(req, res, {
+      slug: category.slug,
+      name: category.name,
+      breadcrumb: categories.getBreadcrumb(category.slug),
+      children: categories.getChildren(category.slug).map(child => ({ ...child, count: countIn(child.slug) })),
+      brands: countBrands(products),
+      total: products.length
+    });
+  } catch (error) {
+    log.error(`Error getting category: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get category' });
+  }
+});
+
+// Import products from CSV (text/csv) or a JSON array (admin). With
+// ?dryRun=true the file is only validated; otherwise nothing is written unless
+// every row is valid.
+app.post('/api/products/import', requireAdmin, express.text({ type: 'text/csv', limit: '5mb' }), async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  let rows;
+  try {
+    if (req.is('text/csv')) {
+      rows = catalog.parseImportFile(req.body, 'csv');
+    } else if (Array.isArray(req.body)) {
+      rows = req.body;
+    } else {
+      return res.status(400).json({ error: 'Send a CSV file as text/csv or a JSON array of products' });
+    }
+  } catch (error) {
+    return res.status(400).json({ error: `Could not parse import file: ${error.message}` });
+  }
+
+  try {
+    const report = await catalog.importProducts(rows, { dryRun, onStockChange: notifyStockChanges });
+    if (report.errors.length > 0) {
+      log.warn(`Catalog import rejected, ${report.errors.length} invalid rows`);
+      return res.status(400).json({ error: 'Invalid import file', ...report });
+    }
+    if (!dryRun) {
+      invalidateCatalog();
+      log.info(`Catalog import wrote ${report.written} products (${report.created} created, ${report.updated} updated)`);
+      if (report.conflicts.length > 0) {
+        log.warn(`Catalog import skipped ${report.conflicts.length} products changed while it ran`);
+      }
+    }
+    if (report.ledgerFailures > 0) {
+      ledgerWriteFailures.inc(report.ledgerFailures);
+      log.error(`Catalog import could not record ${report.ledgerFailures} stock ledger entries`);
+    }
+    if (report.priceHistoryFailures > 0) {
+      log.error(`Catalog import could not record ${report.priceHistoryFailures} price history entries`);
+    }
+    res.json(report);
+  } catch (error) {
+    log.error(`Error importing products: ${error.message}`);
+    res.status(500).json({ error: 'Failed to import products' });
+  }
+});
+
+// Export the whole catalog, archived products included (admin)
+app.get('/api/products/export', requireAdmin, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv or json' });
+  }
+
+  try {
+    const body = await catalog.exportProducts(format);
+    res.type(format === 'csv' ? 'text/csv' : 'application/json');
+    res.attachment(`products.${format}`);
+    res.send(body);
+  } catch (error) {
+    log.error(`Error exporting products: ${error.message}`);
+    res.status(500).json({ error: 'Failed to export products' });
+  }
+});
+
+// Serve uploaded product images. Every upload gets a new key, so responses
+// can be cached indefinitely.
+app.use(MEDIA_PATH, async (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return next();
+  }
+  try {
+    const file = await imageStorage.get(req.path.slice(1));
+    if (!file) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type(file.contentType).send(file.body);
+  } catch (error) {
+    log.error(`Error serving image ${req.path}: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get image' });
+  }
+});
+
 // Get product by ID
 app.get('/api/products/:id', async (req, res) => {
   try {
-    const result = await docClient.send(new GetCommand({
-      TableName: PRODUCTS_TABLE,
-      Key: { id: parseInt(req.params.id) }
-    }));
+    const product = await getCachedProduct(parseInt(req.params.id));
     
-    if (!result.Item) {
+    if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
     
     productViews.inc();
-    res.json(result.Item);
+    sendCacheable(req, res, pricing.withPricing(product));
   } catch (error) {
     log.error(`Error getting product: ${error.message}`);
     res.status(500).json({ error: 'Failed to get product' });
   }
 });
 
-// Update product stock
-app.put('/api/products/:id/stock', async (req, res) => {
+// "Customers also bought" for a product page. order-service ranks product ids
+// from its order history (falling back to best-sellers); archived and
+// out-of-stock products are dropped here, so it is asked for extra ids.
+const DEFAULT_RECOMMENDATIONS = 8;
+const MAX_RECOMMENDATIONS = 10;
+
+app.get('/api/products/:id/recommendations', async (req, res) => {
+  const productId = parseInt(req.params.id);
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+  const limit = req.query.limit === undefined ? DEFAULT_RECOMMENDATIONS : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RECOMMENDATIONS) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      details: [`limit must be 1-${MAX_RECOMMENDATIONS}`]
+    });
+  }
+
   try {
-    const { stock } = req.body;
-    const productId = parseInt(req.params.id);
-    
-    // Get current product first
-    const result = await docClient.send(new GetCommand({
+    const response = await axios.get(`${ORDER_SERVICE_URL}/api/recommendations/products/${productId}`, {
+      params: { limit: limit * 2 }
+    });
+    const { productIds, source } = response.data;
+    const now = new Date().toISOString();
+    const products = (await getCachedProducts(productIds))
+      .filter(product => !product.archived && product.stock > 0)
+      .slice(0, limit)
+      .map(product => pricing.withPricing(product, now));
+    sendCacheable(req, res, { products, source });
+  } catch (error) {
+    log.error(`Error getting recommendations: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get recommendations' });
+  }
+});
+
+// Highest product id in use, archived products included
+const getMaxProductId = async () => {
+  let maxId = 0;
+  let startKey;
+  do {
+    const result = await docClient.send(new ScanCommand({
       TableName: PRODUCTS_TABLE,
-      Key: { id: productId }
+      ProjectionExpression: 'id',
+      ExclusiveStartKey: startKey
     }));
-    
-    if (!result.Item) {
-      return res.status(404).json({ error: 'Product not found' });
+    for (const item of result.Items || []) {
+      maxId = Math.max(maxId, item.id);
     }
-    
-    // Update the entire product object (like monolith does)
-    const updatedProduct = { ...result.Item, stock };
-    await docClient.send(new PutCommand({
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return maxId;
+};
+
+// Low-stock alerts and back-in-stock signups. Delivery happens after the
+// response, so a slow or failing notifier never holds up a stock change.
+const notifyStockChanges = (product, changes) => {
+  stockAlerts.handleStockChanges(product, changes, notifier)
+    .then(events => events.forEach(event => stockAlertsSent.inc({ type: event.type })))
+    .catch(error => log.error(`Failed to send stock notifications for product ${product.id}: ${error.message}`));
+};
+
+const LOW_STOCK_GAUGE_SECONDS = parseInt(process.env.LOW_STOCK_GAUGE_SECONDS) || 60;
+let lowStockCache = { count: null, at: 0 };
+
+const countLowStockProducts = async () => {
+  if (Date.now() - lowStockCache.at < LOW_STOCK_GAUGE_SECONDS * 1000) {
+    return lowStockCache.count;
+  }
+  try {
+    let count = 0;
+    let startKey;
+    do {
+      const result = await docClient.send(new ScanCommand({
+        TableName: PRODUCTS_TABLE,
+        ProjectionExpression: 'id, sku, stock, variants, reorderThreshold, archived',
+        ExclusiveStartKey: startKey
+      }));
+      count += (result.Items || []).filter(stockAlerts.isLowStock).length;
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    lowStockCache = { count, at: Date.now() };
+  } catch (error) {
+    log.error(`Error counting low-stock products: ${error.message}`);
+  }
+  return lowStockCache.count;
+};
+
+// Stock has already changed when the ledger is written, so a failed write is
+// logged and counted instead of failing the request. Reconciliation reports
+// the sequence numbers that have no entry.
+const recordLedger = async (productId, lastSeq, changes, details) => {
+  try {
+    await ledger.recordStockChanges(productId, lastSeq, changes, details);
+  } catch (error) {
+    ledgerWriteFailures.inc(changes.length);
+    log.error(`Failed to record stock ledger for product ${productId} (seq ${lastSeq}): ${error.message}`);
+  }
+};
+
+// Like the ledger, a failed price history write is logged rather than failing
+// a change that has already been saved
+const recordPriceHistory = async (productId, details) => {
+  try {
+    await pricing.recordPriceChange(productId, details);
+  } catch (error) {
+    log.error(`Failed to record price history for product ${productId}: ${error.message}`);
+  }
+};
+
+// Create product (admin)
+app.post('/api/products', requireAdmin, async (req, res) => {
+  const { product, errors } = validateProduct(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid product', details: errors });
+  }
+
+  try {
+    // Ids are numeric, so take the next one after the current maximum and let
+    // the condition reject the write if a concurrent create claimed it first
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const maxId = await getMaxProductId();
+      const now = new Date().toISOString();
+      const newProduct = {
+        id: maxId + 1,
+        ...product,
+        ...(product.variants ? {} : { sku: getBaseSku(maxId + 1) }),
+        searchText: getSearchText(product),
+        archived: false,
+        createdAt: now,
+        updatedAt: now
+      };
+      const openingStock = ledger.diffStock(null, newProduct);
+      newProduct.stockSeq = openingStock.length;
+
+      try {
+        await docClient.send(new PutCommand({
+          TableName: PRODUCTS_TABLE,
+          Item: newProduct,
+          ConditionExpression: 'attribute_not_exists(id)'
+        }));
+        log.info(`Product ${newProduct.id} created`);
+        invalidateProduct(newProduct.id, newProduct);
+        await recordLedger(newProduct.id, newProduct.stockSeq, openingStock, { reason: 'product_created', source: 'product-service' });
+        await recordPriceHistory(newProduct.id, { reason: 'product_created', source: 'admin', changes: pricing.diffPrices(null, newProduct) });
+        return res.status(201).json(pricing.withPricing(newProduct));
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+        log.warn(`Product id ${newProduct.id} already taken, retrying`);
+      }
+    }
+
+    res.status(409).json({ error: 'Could not allocate a product id, please retry' });
+  } catch (error) {
+    log.error(`Error creating product: ${error.message}`);
+    res.status(500).json({ error: 'Failed to create product' });
+  }
+});
+
+// Update product fields (admin)
+app.patch('/api/products/:id', requireAdmin, async (req, res) => {
+  const productId = parseInt(req.params.id);
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+
+  const { product, errors } = validateProduct(req.body, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid product', details: errors });
+  }
+  const changesStock = product.stock !== undefined || product.variants !== undefined;
+
+  try {
+    const existing = await docClient.send(new GetCommand({
       TableName: PRODUCTS_TABLE,
-      Item: updatedProduct
+      Key: { id: productId }
     }));
-    
-    res.json({ success: true });
+    if (!existing.Item) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (product.stock !== undefined && !product.variants && existing.Item.variants) {
+      return res.status(400).json({ error: 'Invalid product', details: ['stock is derived from variants; update the variants instead'] });
+    }
+
+    const fields = { ...product, updatedAt: new Date().toISOString() };
+    if (product.name !== undefined || product.description !== undefined) {
+      fields.searchText = getSearchText({ ...existing.Item, ...product });
+    }
+    const names = {};
+    const values = {};
+    const assignments = Object.keys(fields).map(field => {
+      names[`#${field}`] = field;
+      values[`:${field}`] = fields[field];
+      return `#${field} = :${field}`;
+    });
+    // A product that gains variants stops using its base SKU
+    const removals = product.variants && existing.Item.sku ? ' REMOVE sku' : '';
+    // Setting stock or replacing variants moves stock, so claim ledger
+    // sequence numbers for it. The changes are worked out from the stock that
+    // was read, so the update only goes through if no other stock change
+    // (which always bumps stockSeq) happened since.
+    const stockChanges = changesStock ? ledger.diffStock(existing.Item, { ...existing.Item, ...product }) : [];
+    const seqClaim = stockChanges.length > 0 ? ' ADD stockSeq :stockChanges' : '';
+    if (seqClaim) {
+      values[':stockChanges'] = stockChanges.length;
+    }
+    let condition = 'attribute_exists(id)';
+    if (changesStock && existing.Item.stockSeq === undefined) {
+      condition += ' AND attribute_not_exists(stockSeq)';
+    } else if (changesStock) {
+      condition += ' AND stockSeq = :seenSeq';
+      values[':seenSeq'] = existing.Item.stockSeq;
+    }
+
+    const result = await docClient.send(new UpdateCommand({
+      TableName: PRODUCTS_TABLE,
+      Key: { id: productId },
+      UpdateExpression: `SET ${assignments.join(', ')}${removals}${seqClaim}`,
+      ConditionExpression: condition,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    log.info(`Product ${productId} updated (${Object.keys(product).join(', ')})`);
+    invalidateProduct(productId, result.Attributes);
+    if (stockChanges.length > 0) {
+      await recordLedger(productId, result.Attributes.stockSeq, stockChanges, { reason: 'manual_adjustment', source: 'admin' });
+      notifyStockChanges(result.Attributes, stockChanges);
+    }
+    const priceChanges = pricing.diffPrices(existing.Item, result.Attributes);
+    if (priceChanges.length > 0) {
+      await recordPriceHistory(productId, { reason: 'price_update', source: 'admin', changes: priceChanges });
+    }
+    res.json(pricing.withPricing(result.Attributes));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException' && changesStock) {
+      return res.status(409).json({ error: 'Stock changed concurrently, please retry' });
+    }
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    log.error(`Error updating product: ${error.message}`);
+    res.status(500).json({ error: 'Failed to update product' });
+  }
+});
+
+// Archive product (admin). Soft delete so carts and order history keep resolving it.
+app.delete('/api/products/:id', requireAdmin, async (req, res) => {
+  const productId = parseInt(req.params.id);
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const result = await docClient.send(new UpdateCommand({
+      TableName: PRODUCTS_TABLE,
+      Key: { id: productId },
+      UpdateExpression: 'SET archived = :true, archivedAt = :now, updatedAt = :now',
+      ConditionExpression: 'attribute_exists(id)',
+      ExpressionAttributeValues: { ':true': true, ':now': now },
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    log.info(`Product ${productId} archived`);
+    invalidateProduct(productId, result.Attributes);
+    res.json(result.Attributes);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    log.error(`Error archiving product: ${error.message}`);
+    res.status(500).json({ error: 'Failed to archive product' });
+  }
+});
+
+// Resolve the SKU a stock request refers to. Products with variants need an
+// explicit variant SKU; others accept their base SKU or no SKU at all.
+const resolveSku = (product, sku) => {
+  if (product.variants) {
+    if (!sku) {
+      return { status: 400, error: 'sku is required for products with variants' };
+    }
+    if (!product.variants[sku]) {
+      return { status: 404, error: 'Variant not found' };
+    }
+    return { variant: true };
+  }
+  if (sku && sku !== product.sku) {
+    return { status: 404, error: 'Variant not found' };
+  }
+  return { variant: false };
+};
+
+const getProduct = async (productId) => {
+  const result = await docClient.send(new GetCommand({
+    TableName: PRODUCTS_TABLE,
+    Key: { id: productId }
+  }));
+  return result.Item;
+};
+
+// Set absolute product stock (admin). Shopper-driven changes go through
+// reserve/release so concurrent requests cannot overwrite each other.
+app.put('/api/products/:id/stock', requireAdmin, async (req, res) => {
+  const productId = parseInt(req.params.id);
+  const { stock, sku, reference } = req.body;
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+  if (!Number.isInteger(stock) || stock < 0) {
+    return res.status(400).json({ error: 'stock must be a non-negative integer' });
+  }
+  if (reference !== undefined && typeof reference !== 'string') {
+    return res.status(400).json({ error: 'reference must be a string' });
+  }
+
+  try {
+    const product = await getProduct(productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const target = resolveSku(product, sku);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    const now = new Date().toISOString();
+    let previous;
+    let result;
+    // The conditions catch concurrent changes to the stock that was read
+    if (target.variant) {
+      // Keep the product total in step
+      previous = product.variants[sku].stock;
+      result = await docClient.send(new UpdateCommand({
+        TableName: PRODUCTS_TABLE,
+        Key: { id: productId },
+        UpdateExpression: 'SET variants.#sku.stock = :stock, stock = stock + :delta, updatedAt = :now ADD stockSeq :one',
+        ConditionExpression: 'variants.#sku.stock = :previous',
+        ExpressionAttributeNames: { '#sku': sku },
+        ExpressionAttributeValues: { ':stock': stock, ':delta': stock - previous, ':previous': previous, ':now': now, ':one': 1 },
+        ReturnValues: 'ALL_NEW'
+      }));
+    } else {
+      previous = product.stock;
+      result = await docClient.send(new UpdateCommand({
+        TableName: PRODUCTS_TABLE,
+        Key: { id: productId },
+        UpdateExpression: 'SET stock = :stock, updatedAt = :now ADD stockSeq :one',
+        ConditionExpression: 'stock = :previous AND attribute_not_exists(variants)',
+        ExpressionAttributeValues: { ':stock': stock, ':previous': previous, ':now': now, ':one': 1 },
+        ReturnValues: 'ALL_NEW'
+      }));
+    }
+
+    invalidateProduct(productId, result.Attributes);
+    const changes = [{ sku: sku || product.sku || getBaseSku(productId), before: previous, after: stock }];
+    await recordLedger(productId, result.Attributes.stockSeq, changes, {
+      reason: 'manual_adjustment',
+      source: 'admin',
+      reference
+    });
+    notifyStockChanges(result.Attributes, changes);
+    res.json({ success: true, stock });
   } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Stock changed concurrently, please retry' });
+    }
     log.error(`Error updating stock: ${error.message}`);
     res.status(500).json({ error: 'Failed to update stock' });
   }
 });
 
+// Callers say why stock moves (reason), who moved it (source) and what for
+// (reference, e.g. a cart's user id or an order id) for the stock ledger
+const parseStockRequest = (req, defaultReason) => {
+  const productId = parseInt(req.params.id);
+  const { quantity, sku, reason = defaultReason, source = 'unknown', reference } = req.body;
+  if (isNaN(productId)) {
+    return { error: 'Product id must be a number' };
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return { error: 'quantity must be a positive integer' };
+  }
+  if (sku !== undefined && typeof sku !== 'string') {
+    return { error: 'sku must be a string' };
+  }
+  if (!ledger.STOCK_REASONS.includes(reason)) {
+    return { error: `reason must be one of: ${ledger.STOCK_REASONS.join(', ')}` };
+  }
+  if (typeof source !== 'string' || source.length > 64) {
+    return { error: 'source must be a string of at most 64 characters' };
+  }
+  if (reference !== undefined && (typeof reference !== 'string' || reference.length > 128)) {
+    return { error: 'reference must be a string of at most 128 characters' };
+  }
+  return { productId, quantity, sku, movement: { reason, source, reference } };
+};
+
+// Variant SKUs adjust the variant and the product total in one update;
+// anything else adjusts the base stock of a product without variants
+const buildStockUpdate = (productId, sku, quantity, direction) => {
+  const sign = direction === 'reserve' ? '-' : '+';
+  const isVariant = sku && !isBaseSku(sku);
+  const update = {
+    TableName: PRODUCTS_TABLE,
+    Key: { id: productId },
+    ExpressionAttributeValues: { ':qty': quantity, ':one': 1 },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  if (isVariant) {
+    update.UpdateExpression = `SET variants.#sku.stock = variants.#sku.stock ${sign} :qty, stock = stock ${sign} :qty ADD stockSeq :one`;
+    update.ExpressionAttributeNames = { '#sku': sku };
+    update.ConditionExpression = direction === 'reserve'
+      ? 'variants.#sku.stock >= :qty AND (attribute_not_exists(archived) OR archived = :false)'
+      : 'attribute_exists(variants.#sku)';
+  } else {
+    update.UpdateExpression = `SET stock = stock ${sign} :qty ADD stockSeq :one`;
+    update.ConditionExpression = direction === 'reserve'
+      ? 'attribute_exists(id) AND attribute_not_exists(variants) AND stock >= :qty AND (attribute_not_exists(archived) OR archived = :false)'
+      : 'attribute_exists(id) AND attribute_not_exists(variants)';
+  }
+  if (direction === 'reserve') {
+    update.ExpressionAttributeValues[':false'] = false;
+  }
+  return update;
+};
+
+const getSkuStock = (product, sku) =>
+  product.variants && product.variants[sku] ? product.variants[sku].stock : product.stock;
+
+// Reserve stock: atomically decrement only if enough is available
+app.post('/api/products/:id/reserve', requireService, async (req, res) => {
+  const { productId, quantity, sku, movement, error } = parseStockRequest(req, 'cart_add');
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await docClient.send(new UpdateCommand(buildStockUpdate(productId, sku, quantity, 'reserve')));
+    const available = getSkuStock(result.Attributes, sku);
+    const movedSku = sku || result.Attributes.sku;
+
+    log.info(`Reserved ${quantity} of product ${productId}${sku ? ` (${sku})` : ''}, ${available} left`);
+    invalidateProduct(productId, result.Attributes);
+    const changes = [{ sku: movedSku, before: available + quantity, after: available }];
+    await recordLedger(productId, result.Attributes.stockSeq, changes, movement);
+    notifyStockChanges(result.Attributes, changes);
+    res.json({ success: true, productId, sku: movedSku, reserved: quantity, stock: available });
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      log.error(`Error reserving stock: ${error.message}`);
+      return res.status(500).json({ error: 'Failed to reserve stock' });
+    }
+
+    try {
+      // Work out which part of the condition failed for a useful response
+      const product = await getProduct(productId);
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      const target = resolveSku(product, sku);
+      if (target.error) {
+        return res.status(target.status).json({ error: target.error });
+      }
+      if (product.archived) {
+        return res.status(409).json({ error: 'Product is no longer available', available: 0 });
+      }
+      const available = getSkuStock(product, sku);
+      log.warn(`Insufficient stock for product ${productId}${sku ? ` (${sku})` : ''}: requested ${quantity}, available ${available}`);
+      res.status(409).json({ error: 'Insufficient stock', available });
+    } catch (lookupError) {
+      log.error(`Error reserving stock: ${lookupError.message}`);
+      res.status(500).json({ error: 'Failed to reserve stock' });
+    }
+  }
+});
+
+// Release previously reserved stock back to the product
+app.post('/api/products/:id/release', requireService, async (req, res) => {
+  const { productId, quantity, sku, movement, error } = parseStockRequest(req, 'cart_remove');
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await docClient.send(new UpdateCommand(buildStockUpdate(productId, sku, quantity, 'release')));
+    const available = getSkuStock(result.Attributes, sku);
+    const movedSku = sku || result.Attributes.sku;
+
+    log.info(`Released ${quantity} of product ${productId}${sku ? ` (${sku})` : ''}, ${available} available`);
+    invalidateProduct(productId, result.Attributes);
+    const changes = [{ sku: movedSku, before: available - quantity, after: available }];
+    await recordLedger(productId, result.Attributes.stockSeq, changes, movement);
+    notifyStockChanges(result.Attributes, changes);
+    res.json({ success: true, productId, sku: movedSku, released: quantity, stock: available });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(404).json({ error: 'Product or variant not found' });
+    }
+    log.error(`Error releasing stock: ${error.message}`);
+    res.status(500).json({ error: 'Failed to release stock' });
+  }
+});
+
+// Record that reserved stock was sold. Stock was already taken when it went
+// into the cart, so this only appends an 'order' entry to the ledger.
+app.post('/api/products/:id/commit', requireService, async (req, res) => {
+  const { productId, quantity, sku, movement, error } = parseStockRequest(req, 'order');
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const isVariant = sku && !isBaseSku(sku);
+    const result = await docClient.send(new UpdateCommand({
+      TableName: PRODUCTS_TABLE,
+      Key: { id: productId },
+      UpdateExpression: 'ADD stockSeq :one',
+      ConditionExpression: isVariant ? 'attribute_exists(variants.#sku)' : 'attribute_exists(id) AND attribute_not_exists(variants)',
+      ...(isVariant ? { ExpressionAttributeNames: { '#sku': sku } } : {}),
+      ExpressionAttributeValues: { ':one': 1 },
+      ReturnValues: 'ALL_NEW'
+    }));
+    const stock = getSkuStock(result.Attributes, sku);
+    const movedSku = sku || result.Attributes.sku;
+    invalidateProduct(productId, result.Attributes);
+
+    await recordLedger(productId, result.Attributes.stockSeq, [{ sku: movedSku, before: stock, after: stock, quantity }], movement);
+    res.json({ success: true, productId, sku: movedSku, committed: quantity, stock });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(404).json({ error: 'Product or variant not found' });
+    }
+    log.error(`Error committing stock: ${error.message}`);
+    res.status(500).json({ error: 'Failed to commit stock' });
+  }
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Sign up to be told when an out-of-stock product (or variant) is restocked
+app.post('/api/products/:id/stock-subscriptions', async (req, res) => {
+  const productId = parseInt(req.params.id);
+  const { email, sku } = req.body;
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+  if (typeof email !== 'string' || email.length > 254 || !EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: 'A valid email address is required' });
+  }
+  if (sku !== undefined && typeof sku !== 'string') {
+    return res.status(400).json({ error: 'sku must be a string' });
+  }
+
+  try {
+    const product = await getProduct(productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const target = resolveSku(product, sku);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+    if (product.archived) {
+      return res.status(409).json({ error: 'Product is no longer available' });
+    }
+    if (getSkuStock(product, sku) > 0) {
+      return res.status(409).json({ error: 'Product is in stock' });
+    }
+
+    const subscribedSku = sku || product.sku;
+    await stockAlerts.subscribe({ productId, sku: subscribedSku, email: email.trim().toLowerCase() });
+    log.info(`Back-in-stock signup for product ${productId} (${subscribedSku})`);
+    res.status(201).json({ success: true, productId, sku: subscribedSku });
+  } catch (error) {
+    log.error(`Error creating stock subscription: ${error.message}`);
+    res.status(500).json({ error: 'Failed to create stock subscription' });
+  }
+});
+
+// Stock ledger for a product, newest first (admin)
+app.get('/api/products/:id/stock-history', requireAdmin, async (req, res) => {
+  const productId = parseInt(req.params.id);
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(req.query.limit);
+  const startKey = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+  if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+  if (req.query.cursor && !startKey) {
+    return res.status(400).json({ error: 'cursor is invalid' });
+  }
+
+  try {
+    const { entries, lastKey } = await ledger.getStockHistory(productId, { sku: req.query.sku, limit, startKey });
+    res.json({
+      entries,
+      nextCursor: lastKey ? encodeCursor(lastKey) : null
+    });
+  } catch (error) {
+    log.error(`Error getting stock history: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get stock history' });
+  }
+});
+
+// Replay the ledger and compare it with stored stock (admin). Only products
+// with drift are listed unless ?all=true; ?productId= checks a single product.
+app.get('/api/inventory/reconciliation', requireAdmin, async (req, res) => {
+  const productId = req.query.productId === undefined ? null : parseInt(req.query.productId);
+  if (Number.isNaN(productId)) {
+    return res.status(400).json({ error: 'productId must be a number' });
+  }
+
+  try {
+    let products;
+    if (productId !== null) {
+      const product = await getProduct(productId);
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      products = [product];
+    } else {
+      products = [];
+      let startKey;
+      do {
+        const result = await docClient.send(new ScanCommand({
+          TableName: PRODUCTS_TABLE,
+          ProjectionExpression: 'id, sku, stock, variants, stockSeq',
+          ExclusiveStartKey: startKey
+        }));
+        products.push(...(result.Items || []));
+        startKey = result.LastEvaluatedKey;
+      } while (startKey);
+    }
+
+    const reports = [];
+    for (const product of products) {
+      reports.push(await ledger.reconcileProduct(product));
+    }
+    const drifted = reports.filter(report => report.drifted);
+    if (drifted.length > 0) {
+      log.warn(`Stock reconciliation found drift on ${drifted.length} of ${reports.length} products`);
+    }
+
+    res.json({
+      checked: reports.length,
+      drifted: drifted.length,
+      products: req.query.all === 'true' ? reports : drifted
+    });
+  } catch (error) {
+    log.error(`Error reconciling stock: ${error.message}`);
+    res.status(500).json({ error: 'Failed to reconcile stock' });
+  }
+});
+
+// Promotions
+// Schedule a sale on a product (admin). Windows may not overlap, so at most
+// one promotion applies at any time.
+app.post('/api/products/:id/promotions', requireAdmin, async (req, res) => {
+  const productId = parseInt(req.params.id);
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+  const now = new Date().toISOString();
+  const { promotion, errors } = pricing.validatePromotion(req.body, now);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid promotion', details: errors });
+  }
+
+  try {
+    const product = await getProduct(productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // Ended promotions are dropped here; the price history keeps a record of them
+    const current = (product.promotions || []).filter(existing => existing.endsAt > now);
+    const overlapping = pricing.findOverlappingPromotion(current, promotion);
+    if (overlapping) {
+      return res.status(409).json({
+        error: `Overlaps promotion ${overlapping.id} (${overlapping.startsAt} to ${overlapping.endsAt})`
+      });
+    }
+    if (current.length >= pricing.MAX_PROMOTIONS) {
+      return res.status(409).json({ error: `Products can have at most ${pricing.MAX_PROMOTIONS} scheduled promotions` });
+    }
+
+    const scheduled = { id: uuid.v4(), ...promotion, createdAt: now };
+    const promotions = [...current, scheduled].sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+
+    // The overlap check used the promotions we read, so only write if the
+    // product has not been updated since
+    const values = { ':promotions': promotions, ':now': now };
+    let condition = 'attribute_exists(id) AND attribute_not_exists(updatedAt)';
+    if (product.updatedAt) {
+      values[':seen'] = product.updatedAt;
+      condition = 'updatedAt = :seen';
+    }
+    const result = await docClient.send(new UpdateCommand({
+      TableName: PRODUCTS_TABLE,
+      Key: { id: productId },
+      UpdateExpression: 'SET promotions = :promotions, updatedAt = :now',
+      ConditionExpression: condition,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    log.info(`Promotion ${scheduled.id} scheduled for product ${productId} (${scheduled.startsAt} to ${scheduled.endsAt})`);
+    invalidateProduct(productId, result.Attributes);
+    await recordPriceHistory(productId, { reason: 'promotion_scheduled', source: 'admin', promotion: scheduled });
+    res.status(201).json({ promotion: scheduled, product: pricing.withPricing(result.Attributes) });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Product changed concurrently, please retry' });
+    }
+    log.error(`Error scheduling promotion: ${error.message}`);
+    res.status(500).json({ error: 'Failed to schedule promotion' });
+  }
+});
+
+// Cancel a promotion (admin). A running promotion ends straight away.
+app.delete('/api/products/:id/promotions/:promotionId', requireAdmin, async (req, res) => {
+  const productId = parseInt(req.params.id);
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+
+  try {
+    const product = await getProduct(productId);
+    const index = product ? (product.promotions || []).findIndex(promotion => promotion.id === req.params.promotionId) : -1;
+    if (index === -1) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    // Same as image removal: only remove the entry if it has not moved
+    const result = await docClient.send(new UpdateCommand({
+      TableName: PRODUCTS_TABLE,
+      Key: { id: productId },
+      UpdateExpression: `REMOVE promotions[${index}] SET updatedAt = :now`,
+      ConditionExpression: `promotions[${index}].id = :promotionId`,
+      ExpressionAttributeValues: { ':promotionId': req.params.promotionId, ':now': new Date().toISOString() },
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    const cancelled = product.promotions[index];
+    log.info(`Promotion ${cancelled.id} cancelled for product ${productId}`);
+    invalidateProduct(productId, result.Attributes);
+    await recordPriceHistory(productId, { reason: 'promotion_cancelled', source: 'admin', promotion: cancelled });
+    res.json({ success: true, product: pricing.withPricing(result.Attributes) });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Promotions changed concurrently, please retry' });
+    }
+    log.error(`Error cancelling promotion: ${error.message}`);
+    res.status(500).json({ error: 'Failed to cancel promotion' });
+  }
+});
+
+// Price changes and promotions for a product, newest first (admin)
+app.get('/api/products/:id/price-history', requireAdmin, async (req, res) => {
+  const productId = parseInt(req.params.id);
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(req.query.limit);
+  const startKey = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+  if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+  if (req.query.cursor && !startKey) {
+    return res.status(400).json({ error: 'cursor is invalid' });
+  }
+
+  try {
+    const { entries, lastKey } = await pricing.getPriceHistory(productId, { limit, startKey });
+    res.json({
+      entries,
+      nextCursor: lastKey ? encodeCursor(lastKey) : null
+    });
+  } catch (error) {
+    log.error(`Error getting price history: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get price history' });
+  }
+});
+
+// Coupons
+// Create a coupon code (admin)
+app.post('/api/coupons', requireAdmin, async (req, res) => {
+  const { coupon, errors } = coupons.validateCoupon(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid coupon', details: errors });
+  }
+
+  try {
+    const created = await coupons.createCoupon(coupon);
+    if (!created) {
+      return res.status(409).json({ error: `Coupon ${coupon.code} already exists` });
+    }
+    log.info(`Coupon ${created.code} created (${created.type})`);
+    res.status(201).json(created);
+  } catch (error) {
+    log.error(`Error creating coupon: ${error.message}`);
+    res.status(500).json({ error: 'Failed to create coupon' });
+  }
+});
+
+// Every coupon with its redemption count (admin)
+app.get('/api/coupons', requireAdmin, async (req, res) => {
+  try {
+    res.json({ coupons: await coupons.listCoupons() });
+  } catch (error) {
+    log.error(`Error listing coupons: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list coupons' });
+  }
+});
+
+// Deactivate a coupon (admin). Carts holding the code lose the discount.
+app.delete('/api/coupons/:code', requireAdmin, async (req, res) => {
+  try {
+    const coupon = await coupons.deactivateCoupon(req.params.code);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    log.info(`Coupon ${coupon.code} deactivated`);
+    res.json({ success: true, coupon });
+  } catch (error) {
+    log.error(`Error deactivating coupon: ${error.message}`);
+    res.status(500).json({ error: 'Failed to deactivate coupon' });
+  }
+});
+
+const MAX_COUPON_LINES = 100;
+
+// Cart lines sent to the evaluate and redeem routes: { productId, sku, quantity }
+const validateCouponRequest = (body) => {
+  const { userId, items } = body || {};
+  if (typeof userId !== 'string' || userId === '') {
+    return 'userId is required';
+  }
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_COUPON_LINES) {
+    return `items must list 1 to ${MAX_COUPON_LINES} cart lines`;
+  }
+  const valid = items.every(item => item && Number.isInteger(item.productId) &&
+    typeof item.sku === 'string' && Number.isInteger(item.quantity) && item.quantity > 0);
+  return valid ? null : 'Each item needs a productId, sku and positive integer quantity';
+};
+
+// Each cart line at its current selling price. Lines whose product no longer
+// exists are left out; checkout rejects those carts anyway.
+const priceCartLines = async (items) => {
+  const now = new Date().toISOString();
+  const products = new Map((await getCachedProducts([...new Set(items.map(item => item.productId))]))
+    .map(product => [product.id, pricing.withPricing(product, now)]));
+  return items
+    .filter(item => products.has(item.productId))
+    .map(item => {
+      const product = products.get(item.productId);
+      const variant = product.variants && product.variants[item.sku];
+      return { productId: item.productId, sku: item.sku, quantity: item.quantity, price: (variant || product).effectivePrice };
+    });
+};
+
+// Look up a coupon and work out its discount on a cart for a shopper. Sends
+// the response for unknown codes and rejections and resolves to null;
+// otherwise resolves to { coupon, evaluation }.
+const evaluateForCart = async (req, res) => {
+  const requestError = validateCouponRequest(req.body);
+  if (requestError) {
+    res.status(400).json({ error: 'Invalid coupon request', details: [requestError] });
+    return null;
+  }
+  const coupon = await coupons.getCoupon(req.params.code);
+  if (!coupon) {
+    res.status(404).json({ error: `Coupon ${coupons.normalizeCode(req.params.code)} does not exist` });
+    return null;
+  }
+  const [lines, userRedemptions] = await Promise.all([
+    priceCartLines(req.body.items),
+    coupons.getUserRedemptions(coupon.code, req.body.userId)
+  ]);
+  const evaluation = coupons.evaluateCoupon(coupon, lines, { userRedemptions });
+  if (evaluation.error) {
+    res.status(409).json({ error: evaluation.error });
+    return null;
+  }
+  return { coupon, evaluation };
+};
+
+// What a coupon is worth on a cart, without using it up (cart-service).
+// Rejections are 409 with a reason to show the shopper.
+app.post('/api/coupons/:code/evaluate', async (req, res) => {
+  try {
+    const result = await evaluateForCart(req, res);
+    if (result) {
+      res.json(result.evaluation);
+    }
+  } catch (error) {
+    log.error(`Error evaluating coupon: ${error.message}`);
+    res.status(500).json({ error: 'Failed to check coupon' });
+  }
+});
+
+// Use a coupon for an order (order-service). The discount is worked out
+// again and the redemption counted against the code's usage limits.
+app.post('/api/coupons/:code/redeem', requireService, async (req, res) => {
+  try {
+    const result = await evaluateForCart(req, res);
+    if (!result) {
+      return;
+    }
+    const limitError = await coupons.recordRedemption(result.coupon, req.body.userId);
+    if (limitError) {
+      return res.status(409).json({ error: limitError });
+    }
+    couponRedemptions.inc({ code: result.coupon.code });
+    log.info(`Coupon ${result.coupon.code} redeemed by ${req.body.userId}`);
+    res.json(result.evaluation);
+  } catch (error) {
+    log.error(`Error redeeming coupon: ${error.message}`);
+    res.status(500).json({ error: 'Failed to redeem coupon' });
+  }
+});
+
+// Give back a redemption whose order could not be saved (order-service)
+app.post('/api/coupons/:code/release', requireService, async (req, res) => {
+  const { userId } = req.body || {};
+  if (typeof userId !== 'string' || userId === '') {
+    return res.status(400).json({ error: 'userId is required' });
+  }
+
+  try {
+    await coupons.releaseRedemption(coupons.normalizeCode(req.params.code), userId);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      return res.status(409).json({ error: 'No redemption to release' });
+    }
+    log.error(`Error releasing coupon: ${error.message}`);
+    res.status(500).json({ error: 'Failed to release coupon' });
+  }
+});
+
+// Product images
+const readImageBody = (req, res, next) => {
+  express.raw({ type: Object.keys(images.IMAGE_TYPES), limit: images.MAX_IMAGE_BYTES })(req, res, (error) => {
+    if (error) {
+      const status = error.type === 'entity.too.large' ? 413 : 400;
+      return res.status(status).json({ error: status === 413 ? 'Image is too large' : 'Could not read image upload' });
+    }
+    next();
+  });
+};
+
+// Storage cleanup never fails the request; orphaned files are only logged
+const deleteStoredImages = async (keys) => {
+  for (const key of keys) {
+    try {
+      await imageStorage.delete(key);
+    } catch (error) {
+      log.error(`Failed to delete stored image ${key}: ${error.message}`);
+    }
+  }
+};
+
+// Upload a product image (admin). The body is the raw JPEG or PNG file. A
+// thumbnail and a detail size are generated and the image is added to the end
+// of the gallery, or to the front with ?primary=true.
+app.post('/api/products/:id/images', requireAdmin, readImageBody, async (req, res) => {
+  const productId = parseInt(req.params.id);
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+  const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  const uploadError = images.checkImageUpload(contentType, req.body);
+  if (uploadError) {
+    return res.status(400).json({ error: uploadError });
+  }
+
+  try {
+    const product = await getProduct(productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if ((product.images || []).length >= images.MAX_IMAGES_PER_PRODUCT) {
+      return res.status(409).json({ error: `Products can have at most ${images.MAX_IMAGES_PER_PRODUCT} images` });
+    }
+
+    const { sizes, error } = await images.generateImageSizes(contentType, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const imageId = uuid.v4();
+    const { extension } = images.IMAGE_TYPES[contentType];
+    const image = { id: imageId, createdAt: new Date().toISOString() };
+    const keys = [];
+    for (const [size, rendered] of Object.entries(sizes)) {
+      const key = `products/${productId}/${imageId}-${size}.${extension}`;
+      await imageStorage.put(key, rendered.body, contentType);
+      keys.push(key);
+      image[size] = { url: `${MEDIA_PATH}/${key}`, key, width: rendered.width, height: rendered.height };
+    }
+
+    const gallery = req.query.primary === 'true'
+      ? 'list_append(:image, if_not_exists(images, :empty))'
+      : 'list_append(if_not_exists(images, :empty), :image)';
+    try {
+      const result = await docClient.send(new UpdateCommand({
+        TableName: PRODUCTS_TABLE,
+        Key: { id: productId },
+        UpdateExpression: `SET images = ${gallery}, updatedAt = :now`,
+        ConditionExpression: 'attribute_exists(id) AND (attribute_not_exists(images) OR size(images) < :max)',
+        ExpressionAttributeValues: {
+          ':image': [image],
+          ':empty': [],
+          ':now': image.createdAt,
+          ':max': images.MAX_IMAGES_PER_PRODUCT
+        },
+        ReturnValues: 'ALL_NEW'
+      }));
+      log.info(`Image ${imageId} added to product ${productId}`);
+      invalidateProduct(productId, result.Attributes);
+      res.status(201).json({ image, images: result.Attributes.images });
+    } catch (error) {
+      await deleteStoredImages(keys);
+      if (error.name === 'ConditionalCheckFailedException') {
+        return res.status(409).json({ error: `Products can have at most ${images.MAX_IMAGES_PER_PRODUCT} images` });
+      }
+      throw error;
+    }
+  } catch (error) {
+    log.error(`Error uploading image: ${error.message}`);
+    res.status(500).json({ error: 'Failed to upload image' });
+  }
+});
+
+// Remove an image from a product's gallery and from storage (admin)
+app.delete('/api/products/:id/images/:imageId', requireAdmin, async (req, res) => {
+  const productId = parseInt(req.params.id);
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+
+  try {
+    const product = await getProduct(productId);
+    const index = product ? (product.images || []).findIndex(image => image.id === req.params.imageId) : -1;
+    if (index === -1) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    // List positions shift when images are added or removed, so only remove
+    // the entry if it is still the one we looked up
+    await docClient.send(new UpdateCommand({
+      TableName: PRODUCTS_TABLE,
+      Key: { id: productId },
+      UpdateExpression: `REMOVE images[${index}] SET updatedAt = :now`,
+      ConditionExpression: `images[${index}].id = :imageId`,
+      ExpressionAttributeValues: { ':imageId': req.params.imageId, ':now': new Date().toISOString() }
+    }));
+
+    invalidateProduct(productId);
+    const removed = product.images[index];
+    await deleteStoredImages(Object.keys(images.IMAGE_SIZES).map(size => removed[size].key));
+    log.info(`Image ${removed.id} removed from product ${productId}`);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Images changed concurrently, please retry' });
+    }
+    log.error(`Error deleting image: ${error.message}`);
+    res.status(500).json({ error: 'Failed to delete image' });
+  }
+});
+
+// Reviews
+const REVIEW_SORTS = {
+  newest: { IndexName: 'createdAt-index', ScanIndexForward: false },
+  oldest: { IndexName: 'createdAt-index', ScanIndexForward: true },
+  highest: { IndexName: 'rating-index', ScanIndexForward: false },
+  lowest: { IndexName: 'rating-index', ScanIndexForward: true }
+};
+const DEFAULT_REVIEW_PAGE_SIZE = 10;
+
+const validateReview = (body) => {
+  const errors = [];
+  const { userId, rating, title, comment, authorName } = body || {};
+  if (typeof userId !== 'string' || userId.trim() === '') {
+    errors.push('userId is required');
+  }
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.push('rating must be an integer from 1 to 5');
+  }
+  if (typeof title !== 'string' || title.trim() === '' || title.length > 120) {
+    errors.push('title must be 1-120 characters');
+  }
+  if (typeof comment !== 'string' || comment.trim() === '' || comment.length > 2000) {
+    errors.push('comment must be 1-2000 characters');
+  }
+  if (authorName !== undefined && (typeof authorName !== 'string' || authorName.length > 60)) {
+    errors.push('authorName must be at most 60 characters');
+  }
+  return errors;
+};
+
+// Only shoppers with an order containing the product may review it
+// Orders that were called off do not make the shopper a buyer
+const UNPURCHASED_ORDER_STATUSES = ['Cancelled', 'Refunded'];
+
+const hasPurchased = async (userId, productId) => {
+  const response = await axios.get(`${ORDER_SERVICE_URL}/api/orders/user/${encodeURIComponent(userId)}`);
+  return response.data.some(order =>
+    !UNPURCHASED_ORDER_STATUSES.includes(order.status) &&
+    (order.items || []).some(item => item.product && item.product.id === productId)
+  );
+};
+
+// Fold a new rating into the product's count, total and average
+const addRatingToProduct = async (productId, rating) => {
+  const result = await docClient.send(new UpdateCommand({
+    TableName: PRODUCTS_TABLE,
+    Key: { id: productId },
+    UpdateExpression: 'ADD ratingCount :one, ratingTotal :rating',
+    ExpressionAttributeValues: { ':one': 1, ':rating': rating },
+    ReturnValues: 'UPDATED_NEW'
+  }));
+  const { ratingCount, ratingTotal } = result.Attributes;
+
+  try {
+    // If another review lands in between, its own update sets the average
+    await docClient.send(new UpdateCommand({
+      TableName: PRODUCTS_TABLE,
+      Key: { id: productId },
+      UpdateExpression: 'SET ratingAverage = :average',
+      ConditionExpression: 'ratingCount = :count',
+      ExpressionAttributeValues: {
+        ':average': Math.round((ratingTotal / ratingCount) * 10) / 10,
+        ':count': ratingCount
+      }
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+};
+
+// Submit a review. The shopper is whoever the frontend says is signed in, so
+// only services holding SERVICE_API_TOKEN can post reviews.
+app.post('/api/products/:id/reviews', requireService, async (req, res) => {
+  const productId = parseInt(req.params.id);
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+  const errors = validateReview(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid review', details: errors });
+  }
+
+  try {
+    const product = await getProduct(productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { userId, rating, title, comment, authorName } = req.body;
+    if (!(await hasPurchased(userId, productId))) {
+      return res.status(403).json({ error: 'Only customers who have ordered this product can review it' });
+    }
+
+    const review = {
+      productId,
+      userId,
+      reviewId: uuid.v4(),
+      rating,
+      title: title.trim(),
+      comment: comment.trim(),
+      authorName: (authorName || '').trim() || 'Verified buyer',
+      createdAt: new Date().toISOString()
+    };
+
+    // The table is keyed by (productId, userId): one review per shopper per product
+    await docClient.send(new PutCommand({
+      TableName: REVIEWS_TABLE,
+      Item: review,
+      ConditionExpression: 'attribute_not_exists(userId)'
+    }));
+    await addRatingToProduct(productId, rating);
+    invalidateProduct(productId);
+
+    reviewsCreated.inc();
+    log.info(`Review ${review.reviewId} added for product ${productId} (${rating} stars)`);
+    res.status(201).json(review);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'You have already reviewed this product' });
+    }
+    log.error(`Error creating review: ${error.message}`);
+    res.status(500).json({ error: 'Failed to create review' });
+  }
+});
+
+// List reviews for a product (sorted, cursor paginated)
+app.get('/api/products/:id/reviews', async (req, res) => {
+  const productId = parseInt(req.params.id);
+  const sort = req.query.sort || 'newest';
+  const limit = req.query.limit === undefined ? DEFAULT_REVIEW_PAGE_SIZE : parseInt(req.query.limit);
+  const startKey = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Product id must be a number' });
+  }
+  if (!REVIEW_SORTS[sort]) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+  }
+  if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+  if (req.query.cursor && !startKey) {
+    return res.status(400).json({ error: 'cursor is invalid' });
+  }
+
+  try {
+    const result = await docClient.send(new QueryCommand({
+      TableName: REVIEWS_TABLE,
+      ...REVIEW_SORTS[sort],
+      KeyConditionExpression: 'productId = :productId',
+      ExpressionAttributeValues: { ':productId': productId },
+      Limit: limit,
+      ExclusiveStartKey: startKey || undefined
+    }));
+
+    res.json({
+      reviews: result.Items || [],
+      nextCursor: result.LastEvaluatedKey ? encodeCursor(result.LastEvaluatedKey) : null
+    });
+  } catch (error) {
+    log.error(`Error getting reviews: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get reviews' });
+  }
+});
+
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'product-service' });
 });
@@ -0,0 +1,92 @@
+const { PutCommand, QueryCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDB } = require('./dynamodb');
+const { getSkuStocks } = require('./ledger');
+
+const STOCK_SUBSCRIPTIONS_TABLE = process.env.STOCK_SUBSCRIPTIONS_TABLE || 'shopmate-eks-stock-subscriptions-dev';
+
+// Products without their own reorderThreshold use this one
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+// Unfulfilled back-in-stock signups are dropped by the table's TTL
+const SUBSCRIPTION_TTL_DAYS = parseInt(process.env.STOCK_SUBSCRIPTION_TTL_DAYS) || 90;
+
+const getReorderThreshold = (product) =>
+  product.reorderThreshold !== undefined ? product.reorderThreshold : LOW_STOCK_THRESHOLD;
+
+// A listed product is low on stock when any of its SKUs is at or below the
+// reorder threshold
+const isLowStock = (product) => {
+  if (product.archived) {
+    return false;
+  }
+  const threshold = getReorderThreshold(product);
+  return Object.values(getSkuStocks(product)).some(stock => stock <= threshold);
+};
+
+const subscribe = async ({ productId, sku, email }) => {
+  await dynamoDB.send(new PutCommand({
+    TableName: STOCK_SUBSCRIPTIONS_TABLE,
+    Item: {
+      sku,
+      email,
+      productId,
+      createdAt: new Date().toISOString(),
+      expiresAt: Math.floor(Date.now() / 1000) + SUBSCRIPTION_TTL_DAYS * 24 * 60 * 60
+    }
+  }));
+};
+
+// Remove and return the signups for a SKU. Each delete returns the item only
+// to the caller that removed it, so concurrent restocks notify once.
+const takeSubscribers = async (sku) => {
+  const result = await dynamoDB.send(new QueryCommand({
+    TableName: STOCK_SUBSCRIPTIONS_TABLE,
+    KeyConditionExpression: 'sku = :sku',
+    ExpressionAttributeValues: { ':sku': sku }
+  }));
+
+  const subscribers = [];
+  for (const item of result.Items || []) {
+    const removed = await dynamoDB.send(new DeleteCommand({
+      TableName: STOCK_SUBSCRIPTIONS_TABLE,
+      Key: { sku, email: item.email },
+      ReturnValues: 'ALL_OLD'
+    }));
+    if (removed.Attributes) {
+      subscribers.push(removed.Attributes);
+    }
+  }
+  return subscribers;
+};
+
+// Emit low_stock when a SKU falls to or below its reorder threshold, and
+// back_in_stock to each subscriber when a SKU goes from zero to available.
+// Returns the events delivered.
+const handleStockChanges = async (product, changes, notifier) => {
+  const threshold = getReorderThreshold(product);
+  const at = new Date().toISOString();
+  const events = [];
+
+  for (const { sku, before, after } of changes) {
+    const base = { productId: product.id, name: product.name, sku, stock: after, at };
+    if (before > threshold && after <= threshold && !product.archived) {
+      events.push({ type: 'low_stock', ...base, threshold });
+    }
+    if (before === 0 && after > 0) {
+      for (const subscriber of await takeSubscribers(sku)) {
+        events.push({ type: 'back_in_stock', ...base, email: subscriber.email });
+      }
+    }
+  }
+
+  for (const event of events) {
+    await notifier.notify(event);
+  }
+  return events;
+};
+
+module.exports = {
+  getReorderThreshold,
+  isLowStock,
+  subscribe,
+  handleStockChanges
+};
\ No newline at end of file
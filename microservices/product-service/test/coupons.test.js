@@ -0,0 +1,82 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { createDynamoDB, startService } = require('../../test-support');
+
+process.env.PORT = '3102';
+process.env.NOTIFIER = 'log';
+process.env.SERVICE_API_TOKEN = 'service-token';
+
+const db = createDynamoDB(DynamoDBDocumentClient, {
+  products: ['id'],
+  coupons: ['code'],
+  'coupon-redemptions': ['code', 'userId']
+});
+const coupons = db.tables.coupons;
+const redemptions = db.tables['coupon-redemptions'];
+let request;
+
+const post = (path, body, token = 'service-token') => request('POST', path, body, token ? { 'X-Service-Token': token } : {});
+
+const redeem = (code, userId) => post(`/api/coupons/${code}/redeem`, { userId, items: [{ productId: 2, sku: 'PRD-2', quantity: 2 }] });
+
+const addCoupon = (coupon) => {
+  db.reset();
+  db.tables.products.put({ id: 2, name: 'Case', description: 'Case', searchText: 'case case', price: 10, stock: 5, stockSeq: 0, sku: 'PRD-2' });
+  coupons.put({ type: 'fixed_amount', amountOff: 5, active: true, redemptionCount: 0, ...coupon });
+};
+
+before(async () => {
+  request = await startService(() => require('../server'), process.env.PORT);
+});
+
+test('concurrent redemptions never exceed the usage limit', async () => {
+  addCoupon({ code: 'LIMITED', maxRedemptions: 3 });
+  const results = await Promise.all(Array.from({ length: 8 }, (_, i) => redeem('LIMITED', `user-${i}`)));
+
+  const redeemed = results.filter(result => result.status === 200);
+  const rejected = results.filter(result => result.status === 409);
+  assert.equal(redeemed.length, 3);
+  assert.equal(rejected.length, 5);
+  assert.ok(rejected.every(result => result.body.error === 'Coupon LIMITED has reached its usage limit'));
+  assert.equal(redeemed[0].body.discountTotal, 5);
+  assert.equal(coupons.get('LIMITED').redemptionCount, 3);
+  assert.equal(redemptions.size, 3);
+});
+
+test('a shopper redeeming at once from several orders uses the coupon once', async () => {
+  addCoupon({ code: 'WELCOME', maxRedemptionsPerUser: 1 });
+  const results = await Promise.all(Array.from({ length: 4 }, () => redeem('WELCOME', 'user-1')));
+
+  assert.equal(results.filter(result => result.status === 200).length, 1);
+  assert.ok(results.filter(result => result.status === 409).every(result => result.body.error === 'You have already used coupon WELCOME'));
+  assert.equal(coupons.get('WELCOME').redemptionCount, 1);
+  assert.equal(redemptions.get({ code: 'WELCOME', userId: 'user-1' }).redemptionCount, 1);
+});
+
+test('a released redemption frees the use once', async () => {
+  addCoupon({ code: 'ONCE', maxRedemptions: 1 });
+  assert.equal((await redeem('ONCE', 'user-1')).status, 200);
+  assert.equal((await redeem('ONCE', 'user-2')).status, 409);
+
+  const releases = await Promise.all([post('/api/coupons/once/release', { userId: 'user-1' }), post('/api/coupons/ONCE/release', { userId: 'user-1' })]);
+  assert.deepEqual(releases.map(result => result.status).sort(), [200, 409]);
+  assert.equal(coupons.get('ONCE').redemptionCount, 0);
+
+  assert.equal((await redeem('ONCE', 'user-2')).status, 200);
+});
+
+test('redeeming or releasing without the service token is refused', async () => {
+  addCoupon({ code: 'SAVE5' });
+  const items = [{ productId: 2, sku: 'PRD-2', quantity: 2 }];
+  const results = await Promise.all([
+    post('/api/coupons/SAVE5/redeem', { userId: 'user-1', items }, null),
+    post('/api/coupons/SAVE5/redeem', { userId: 'user-1', items }, 'wrong-token'),
+    post('/api/coupons/SAVE5/release', { userId: 'user-1' }, null)
+  ]);
+
+  assert.deepEqual(results.map(result => result.status), [401, 401, 401]);
+  assert.ok(results.every(result => result.body.error === 'Invalid service token'));
+  assert.equal(coupons.get('SAVE5').redemptionCount, 0);
+  assert.equal(redemptions.size, 0);
+});
@@ -0,0 +1,151 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { createDynamoDB, startService } = require('../../test-support');
+
+process.env.PORT = '3101';
+process.env.SERVICE_API_TOKEN = 'service-token';
+process.env.ADMIN_API_TOKEN = 'admin-token';
+process.env.NOTIFIER = 'log';
+
+const db = createDynamoDB(DynamoDBDocumentClient, { products: ['id'], 'stock-ledger': ['productId', 'seq'] });
+const products = db.tables.products;
+const ledger = db.tables['stock-ledger'];
+let request;
+
+const post = async (path, body, token = 'service-token') =>
+  request('POST', path, body, token ? { 'X-Service-Token': token } : {});
+
+const editProduct = (id, body) => request('PATCH', `/api/products/${id}`, body, { 'X-Admin-Token': 'admin-token' });
+
+const setStock = (id, body) => request('PUT', `/api/products/${id}/stock`, body, { 'X-Admin-Token': 'admin-token' });
+
+const lowStockAlerts = async () => {
+  const metrics = await (await fetch(`http://localhost:${process.env.PORT}/metrics`)).text();
+  const line = metrics.split('\n').find(entry => entry.startsWith('product_service_stock_alerts_total{type="low_stock"}'));
+  return line ? Number(line.split(' ')[1]) : 0;
+};
+
+const resetCatalog = () => {
+  db.reset();
+  products.put({
+    id: 1, name: 'Phone', description: 'Phone', searchText: 'phone phone', price: 100, stock: 20, stockSeq: 0,
+    variants: { 'PH-BLK': { options: { Color: 'Black' }, stock: 20 } }
+  });
+  products.put({ id: 2, name: 'Case', description: 'Case', searchText: 'case case', price: 10, stock: 5, stockSeq: 0, sku: 'PRD-2' });
+};
+
+before(async () => {
+  request = await startService(() => require('../server'), process.env.PORT);
+});
+
+test('stock routes reject requests without the service token', async () => {
+  resetCatalog();
+  for (const path of ['/api/products/2/reserve', '/api/products/2/release', '/api/products/2/commit']) {
+    assert.equal((await post(path, { quantity: 1 }, null)).status, 401);
+    assert.equal((await post(path, { quantity: 1 }, 'wrong')).status, 401);
+  }
+  assert.equal(products.get(2).stock, 5);
+  assert.equal(ledger.size, 0);
+});
+
+test('concurrent reservations never take more than the stock', async () => {
+  resetCatalog();
+  const results = await Promise.all(Array.from({ length: 10 }, (_, i) =>
+    post('/api/products/1/reserve', { sku: 'PH-BLK', quantity: 3, source: 'cart-service', reference: `user-${i}` })));
+
+  const reserved = results.filter(result => result.status === 200);
+  const rejected = results.filter(result => result.status === 409);
+  assert.equal(reserved.length, 6);
+  assert.equal(rejected.length, 4);
+  assert.equal(products.get(1).variants['PH-BLK'].stock, 2);
+  assert.equal(products.get(1).stock, 2);
+
+  // Every reservation has its own ledger entry, and they chain from 20 to 2
+  const entries = ledger.items().sort((a, b) => a.seq - b.seq);
+  assert.deepEqual(entries.map(entry => entry.seq), [1, 2, 3, 4, 5, 6]);
+  entries.forEach((entry, index) => {
+    assert.equal(entry.before, 20 - 3 * index);
+    assert.equal(entry.after, entry.before - 3);
+  });
+});
+
+test('reserving and releasing in parallel leaves the stock unchanged', async () => {
+  resetCatalog();
+  const requests = [];
+  for (let i = 0; i < 5; i++) {
+    requests.push(post('/api/products/2/reserve', { quantity: 1, reason: 'cart_add' }));
+    requests.push(post('/api/products/2/release', { quantity: 1, reason: 'cart_remove' }));
+  }
+  const results = await Promise.all(requests);
+  assert.ok(results.every(result => result.status === 200));
+  assert.equal(products.get(2).stock, 5);
+  assert.equal(products.get(2).stockSeq, 10);
+  assert.equal(ledger.size, 10);
+});
+
+test('an archived product cannot be reserved but can take stock back', async () => {
+  resetCatalog();
+  products.put({ ...products.get(2), archived: true });
+  const reserve = await post('/api/products/2/reserve', { quantity: 1 });
+  assert.equal(reserve.status, 409);
+  assert.equal(reserve.body.available, 0);
+  assert.equal((await post('/api/products/2/release', { quantity: 2 })).status, 200);
+  assert.equal(products.get(2).stock, 7);
+});
+
+test('commit records the sale in the ledger without moving stock', async () => {
+  resetCatalog();
+  const result = await post('/api/products/1/commit', { sku: 'PH-BLK', quantity: 2, source: 'order-service', reference: 'order-1' });
+  assert.equal(result.status, 200);
+  assert.equal(products.get(1).variants['PH-BLK'].stock, 20);
+  const [entry] = ledger.items();
+  assert.equal(entry.reason, 'order');
+  assert.equal(entry.quantity, 2);
+  assert.equal(entry.change, 0);
+});
+
+test('stock set through a product edit is recorded in the ledger', async () => {
+  resetCatalog();
+  const result = await editProduct(2, { stock: 8 });
+  assert.equal(result.status, 200);
+  assert.equal(products.get(2).stock, 8);
+  assert.equal(products.get(2).stockSeq, 1);
+  const [entry] = ledger.items();
+  assert.deepEqual([entry.seq, entry.sku, entry.reason, entry.source, entry.before, entry.after], [1, 'PRD-2', 'manual_adjustment', 'admin', 5, 8]);
+});
+
+test('a product edit that sets stock is refused when stock moved since it was read', async () => {
+  resetCatalog();
+  // A reservation lands between the edit reading the product and writing it
+  db.failWith = (name, input) => {
+    if (name === 'UpdateCommand' && input.Key.id === 2) {
+      db.failWith = null;
+      products.put({ ...products.get(2), stock: 4, stockSeq: 1 });
+    }
+  };
+  const result = await editProduct(2, { stock: 8 });
+  assert.equal(result.status, 409);
+  assert.equal(products.get(2).stock, 4);
+  assert.equal(ledger.size, 0);
+});
+
+test('stock set by an admin is checked for alerts against the product as updated', async () => {
+  resetCatalog();
+  products.put({ ...products.get(2), reorderThreshold: 3 });
+  const alertsBefore = await lowStockAlerts();
+  // The product is archived between the stock route reading it and writing it
+  db.failWith = (name, input) => {
+    if (name === 'UpdateCommand' && input.Key.id === 2) {
+      db.failWith = null;
+      products.put({ ...products.get(2), archived: true });
+    }
+  };
+
+  const result = await setStock(2, { stock: 2 });
+  assert.equal(result.status, 200);
+  const [entry] = ledger.items();
+  assert.deepEqual([entry.seq, entry.before, entry.after], [1, 5, 2]);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(await lowStockAlerts(), alertsBefore);
+});
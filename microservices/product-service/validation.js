@@ -0,0 +1,205 @@
+const { isCategory } = require('./categories');
+
+// Schema for merchandiser-editable product fields
+const PRODUCT_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  price: { type: 'number', required: true, min: 0 },
+  // Reference "was" price shown struck through when it is above the selling price
+  compareAtPrice: { type: 'number', required: false, min: 0 },
+  description: { type: 'string', required: true, maxLength: 5000 },
+  // Static image URL; uploaded images are kept separately in `images`
+  image: { type: 'string', required: false, maxLength: 500, pattern: /^(\/|https?:\/\/)\S+$/ },
+  stock: { type: 'integer', required: true, min: 0 },
+  reorderThreshold: { type: 'integer', required: false, min: 0 },
+  // Shipping weight per unit; cart-service assumes a default when it is unset
+  weightKg: { type: 'number', required: false, min: 0 },
+  category: { type: 'category', required: false },
+  brand: { type: 'string', required: false, maxLength: 100 },
+  tags: { type: 'tags', required: false, maxItems: 20 },
+  options: { type: 'options', required: false, maxItems: 3 },
+  variants: { type: 'variants', required: false, maxItems: 100 }
+};
+
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{1,63}$/;
+
+// Each product without variants is sold under a single implicit SKU
+const BASE_SKU_PREFIX = 'PRD-';
+const getBaseSku = (productId) => `${BASE_SKU_PREFIX}${productId}`;
+const isBaseSku = (sku) => sku.startsWith(BASE_SKU_PREFIX);
+
+// Lower-cased name and description that listing searches match against,
+// since DynamoDB's contains() is case-sensitive
+const getSearchText = (product) => `${product.name} ${product.description}`.toLowerCase();
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const checkField = (field, rules, value) => {
+  if (rules.type === 'options') {
+    if (!Array.isArray(value) || value.length === 0 || value.length > rules.maxItems) {
+      return `${field} must be an array of 1 to ${rules.maxItems} option axes`;
+    }
+    const invalid = value.some(axis => !isPlainObject(axis) ||
+      typeof axis.name !== 'string' || axis.name.trim() === '' ||
+      !Array.isArray(axis.values) || axis.values.length === 0 ||
+      axis.values.some(optionValue => typeof optionValue !== 'string' || optionValue.trim() === ''));
+    if (invalid) {
+      return `${field} entries need a name and a non-empty array of string values`;
+    }
+  } else if (rules.type === 'variants') {
+    if (!isPlainObject(value) || Object.keys(value).length === 0 || Object.keys(value).length > rules.maxItems) {
+      return `${field} must be an object of 1 to ${rules.maxItems} variants keyed by SKU`;
+    }
+    for (const [sku, variant] of Object.entries(value)) {
+      if (!SKU_PATTERN.test(sku)) {
+        return `${field} SKU "${sku}" must be 2-64 letters, digits or dashes`;
+      }
+      if (isBaseSku(sku)) {
+        return `${field} SKU "${sku}" cannot use the reserved ${BASE_SKU_PREFIX} prefix`;
+      }
+      if (!isPlainObject(variant) || !isPlainObject(variant.options)) {
+        return `${field}.${sku} must have an options object`;
+      }
+      if (!Number.isInteger(variant.stock) || variant.stock < 0) {
+        return `${field}.${sku}.stock must be a non-negative integer`;
+      }
+      if (variant.price !== undefined && (typeof variant.price !== 'number' || !Number.isFinite(variant.price) || variant.price < 0)) {
+        return `${field}.${sku}.price must be a non-negative number`;
+      }
+    }
+  } else if (rules.type === 'category') {
+    if (!isCategory(value)) {
+      return `${field} must be a known category slug`;
+    }
+  } else if (rules.type === 'tags') {
+    if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+      return `${field} must be an array of non-empty strings`;
+    }
+    if (value.length > rules.maxItems) {
+      return `${field} can have at most ${rules.maxItems} entries`;
+    }
+  } else if (rules.type === 'string') {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return `${field} must be a non-empty string`;
+    }
+    if (rules.maxLength && value.length > rules.maxLength) {
+      return `${field} must be at most ${rules.maxLength} characters`;
+    }
+    if (rules.pattern && !rules.pattern.test(value)) {
+      return `${field} must be an absolute path or http(s) URL`;
+    }
+  } else {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return `${field} must be a number`;
+    }
+    if (rules.type === 'integer' && !Number.isInteger(value)) {
+      return `${field} must be an integer`;
+    }
+    if (rules.min !== undefined && value < rules.min) {
+      return `${field} must be at least ${rules.min}`;
+    }
+  }
+  return null;
+};
+
+// Trim strings and store tags lower-cased and de-duplicated
+const normalizeField = (rules, value) => {
+  if (rules.type === 'tags') {
+    return [...new Set(value.map(tag => tag.trim().toLowerCase()))];
+  }
+  if (rules.type === 'options') {
+    return value.map(axis => ({ name: axis.name.trim(), values: axis.values.map(optionValue => optionValue.trim()) }));
+  }
+  if (rules.type === 'variants') {
+    const variants = {};
+    for (const [sku, variant] of Object.entries(value)) {
+      variants[sku] = { options: variant.options, stock: variant.stock };
+      if (variant.price !== undefined) {
+        variants[sku].price = variant.price;
+      }
+    }
+    return variants;
+  }
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+// Every variant must pick exactly one valid value per option axis, and no two
+// variants may share the same combination
+const checkVariantOptions = (options, variants) => {
+  const errors = [];
+  const seen = new Set();
+  for (const [sku, variant] of Object.entries(variants)) {
+    const keys = Object.keys(variant.options);
+    if (keys.length !== options.length || options.some(axis => !axis.values.includes(variant.options[axis.name]))) {
+      errors.push(`variants.${sku} must choose one of the listed values for each option (${options.map(axis => axis.name).join(', ')})`);
+      continue;
+    }
+    const combination = options.map(axis => variant.options[axis.name]).join('/');
+    if (seen.has(combination)) {
+      errors.push(`variants.${sku} duplicates the option combination ${combination}`);
+    }
+    seen.add(combination);
+  }
+  return errors;
+};
+
+// Validate a product payload. With partial=true (PATCH) only the supplied
+// fields are checked. Returns the cleaned fields and a list of error messages.
+const validateProduct = (input, { partial = false } = {}) => {
+  const errors = [];
+  const product = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { product, errors: ['Request body must be a JSON object'] };
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!PRODUCT_FIELDS[key]) {
+      errors.push(`${key} is not an editable field`);
+    }
+  }
+
+  // Stock of a product with variants is the sum of its variant stock
+  const hasVariants = input.variants !== undefined && input.variants !== null;
+  if (hasVariants && input.stock !== undefined) {
+    errors.push('stock cannot be set directly when variants are provided');
+  }
+  if (hasVariants !== (input.options !== undefined && input.options !== null)) {
+    errors.push('options and variants must be provided together');
+  }
+
+  for (const [field, rules] of Object.entries(PRODUCT_FIELDS)) {
+    const value = input[field];
+    if (value === undefined || value === null) {
+      if (rules.required && !partial && !(field === 'stock' && hasVariants)) {
+        errors.push(`${field} is required`);
+      }
+      continue;
+    }
+
+    const error = checkField(field, rules, value);
+    if (error) {
+      errors.push(error);
+    } else {
+      product[field] = normalizeField(rules, value);
+    }
+  }
+
+  if (product.options && product.variants) {
+    errors.push(...checkVariantOptions(product.options, product.variants));
+    product.stock = Object.values(product.variants).reduce((sum, variant) => sum + variant.stock, 0);
+  }
+
+  if (partial && errors.length === 0 && Object.keys(product).length === 0) {
+    errors.push('At least one field must be provided');
+  }
+
+  return { product, errors };
+};
+
+module.exports = {
+  PRODUCT_FIELDS,
+  getBaseSku,
+  isBaseSku,
+  getSearchText,
+  validateProduct
+};
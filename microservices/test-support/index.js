@@ -0,0 +1,553 @@
+// Shared fixture for the service tests: an in-memory DynamoDB behind the
+// document client, stand-ins for calls to other services over axios, and a
+// helper that boots a service and sends it requests. It has no dependencies
+// of its own; each test passes in the modules from its service.
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+
+// Expressions
+
+const UPDATE_CLAUSES = ['SET', 'REMOVE', 'ADD', 'DELETE'];
+
+const tokenize = (expression) => {
+  const tokens = [];
+  const pattern = /\s*(<>|<=|>=|[=<>(),+-]|:\w+|[#\w]+(?:\[\d+\])*(?:\.[#\w]+(?:\[\d+\])*)*)/y;
+  const end = expression.trimEnd().length;
+  while (pattern.lastIndex < end) {
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(`Cannot parse expression: ${expression}`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+};
+
+// A path such as variants.#sku.stock or #returns[0].#status, as a list of
+// attribute names and list indexes
+const parsePath = (token, names = {}) => token.split('.').flatMap(part => {
+  const [, name, indexes] = part.match(/^([#\w]+)((?:\[\d+\])*)$/);
+  const resolved = name.startsWith('#') ? names[name] : name;
+  if (resolved === undefined) {
+    throw new Error(`Expression attribute name ${name} is not defined`);
+  }
+  return [resolved, ...[...indexes.matchAll(/\[(\d+)\]/g)].map(index => Number(index[1]))];
+});
+
+const readPath = (item, path) => path.reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), item);
+
+const writePath = (item, path, value) => {
+  const parent = readPath(item, path.slice(0, -1));
+  if (parent === undefined || parent === null) {
+    throw new Error(`The document path ${path.join('.')} is invalid for update`);
+  }
+  parent[path[path.length - 1]] = value;
+};
+
+const removePath = (item, path) => {
+  const parent = readPath(item, path.slice(0, -1));
+  if (parent === undefined || parent === null) {
+    return;
+  }
+  const last = path[path.length - 1];
+  if (Array.isArray(parent) && typeof last === 'number') {
+    parent.splice(last, 1);
+  } else {
+    delete parent[last];
+  }
+};
+
+const sizeOf = (value) => {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (typeof value === 'string' || Array.isArray(value)) {
+    return value.length;
+  }
+  if (value instanceof Set) {
+    return value.size;
+  }
+  return typeof value === 'object' ? Object.keys(value).length : undefined;
+};
+
+const compare = (left, operator, right) => {
+  if (operator === '<>') {
+    return JSON.stringify(left) !== JSON.stringify(right);
+  }
+  if (left === undefined || right === undefined) {
+    return false;
+  }
+  switch (operator) {
+    case '=':
+      return JSON.stringify(left) === JSON.stringify(right);
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    default:
+      return left >= right;
+  }
+};
+
+// Condition, filter and key condition expressions
+const evaluateCondition = (expression, item, names = {}, values = {}) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new Error(`Expected ${token} in expression: ${expression}`);
+    }
+  };
+  const isKeyword = (token, keyword) => typeof token === 'string' && token.toUpperCase() === keyword;
+
+  const operand = () => {
+    const token = next();
+    if (token.startsWith(':')) {
+      if (!(token in values)) {
+        throw new Error(`Expression attribute value ${token} is not defined`);
+      }
+      return values[token];
+    }
+    if (token === 'size' && peek() === '(') {
+      expect('(');
+      const value = sizeOf(readPath(item, parsePath(next(), names)));
+      expect(')');
+      return value;
+    }
+    return readPath(item, parsePath(token, names));
+  };
+
+  const primary = () => {
+    const token = peek();
+    if (token === '(') {
+      next();
+      const result = or();
+      expect(')');
+      return result;
+    }
+    if (['attribute_exists', 'attribute_not_exists', 'contains', 'begins_with'].includes(token) && tokens[position + 1] === '(') {
+      next();
+      expect('(');
+      const value = readPath(item, parsePath(next(), names));
+      let argument;
+      if (peek() === ',') {
+        next();
+        argument = operand();
+      }
+      expect(')');
+      switch (token) {
+        case 'attribute_exists':
+          return value !== undefined;
+        case 'attribute_not_exists':
+          return value === undefined;
+        case 'contains':
+          return value instanceof Set ? value.has(argument) : value !== undefined && value !== null && value.includes(argument);
+        default:
+          return typeof value === 'string' && value.startsWith(argument);
+      }
+    }
+    const left = operand();
+    if (isKeyword(peek(), 'BETWEEN')) {
+      next();
+      const low = operand();
+      if (!isKeyword(next(), 'AND')) {
+        throw new Error(`Expected AND in BETWEEN: ${expression}`);
+      }
+      const high = operand();
+      return compare(left, '>=', low) && compare(left, '<=', high);
+    }
+    if (isKeyword(peek(), 'IN')) {
+      next();
+      expect('(');
+      const options = [operand()];
+      while (peek() === ',') {
+        next();
+        options.push(operand());
+      }
+      expect(')');
+      return options.some(option => compare(left, '=', option));
+    }
+    return compare(left, next(), operand());
+  };
+
+  const not = () => {
+    if (isKeyword(peek(), 'NOT')) {
+      next();
+      return !not();
+    }
+    return primary();
+  };
+
+  const and = () => {
+    let result = not();
+    while (isKeyword(peek(), 'AND')) {
+      next();
+      result = not() && result;
+    }
+    return result;
+  };
+
+  const or = () => {
+    let result = and();
+    while (isKeyword(peek(), 'OR')) {
+      next();
+      result = and() || result;
+    }
+    return result;
+  };
+
+  const result = or();
+  if (position !== tokens.length) {
+    throw new Error(`Unexpected ${peek()} in expression: ${expression}`);
+  }
+  return result;
+};
+
+// Split at commas outside brackets
+const splitActions = (tokens) => {
+  const actions = [[]];
+  let depth = 0;
+  for (const token of tokens) {
+    if (token === ',' && depth === 0) {
+      actions.push([]);
+      continue;
+    }
+    depth += token === '(' ? 1 : token === ')' ? -1 : 0;
+    actions[actions.length - 1].push(token);
+  }
+  return actions.filter(action => action.length > 0);
+};
+
+// The value of the right-hand side of a SET action
+const evaluateValue = (tokens, item, names, values) => {
+  let position = 0;
+  const operand = () => {
+    const token = tokens[position++];
+    if (token.startsWith(':')) {
+      return structuredClone(values[token]);
+    }
+    if ((token === 'if_not_exists' || token === 'list_append') && tokens[position] === '(') {
+      position++;
+      const first = operand();
+      position++; // ,
+      const second = operand();
+      position++; // )
+      if (token === 'if_not_exists') {
+        return first === undefined ? second : first;
+      }
+      return [...(first || []), ...(second || [])];
+    }
+    return structuredClone(readPath(item, parsePath(token, names)));
+  };
+  let value = operand();
+  while (position < tokens.length) {
+    const operator = tokens[position++];
+    const right = operand();
+    value = operator === '+' ? value + right : value - right;
+  }
+  return value;
+};
+
+// Apply an update expression (SET, REMOVE, ADD and DELETE) to an item
+const applyUpdate = (expression, item, names = {}, values = {}) => {
+  const tokens = tokenize(expression);
+  const clauses = [];
+  for (const token of tokens) {
+    if (UPDATE_CLAUSES.includes(token)) {
+      clauses.push({ type: token, tokens: [] });
+    } else {
+      clauses[clauses.length - 1].tokens.push(token);
+    }
+  }
+
+  // Every right-hand side reads the item as it was before the update
+  const before = structuredClone(item);
+  for (const { type, tokens: clauseTokens } of clauses) {
+    for (const action of splitActions(clauseTokens)) {
+      const path = parsePath(action[0], names);
+      if (type === 'SET') {
+        writePath(item, path, evaluateValue(action.slice(2), before, names, values));
+      } else if (type === 'REMOVE') {
+        removePath(item, path);
+      } else if (type === 'ADD') {
+        const current = readPath(item, path);
+        const value = values[action[1]];
+        if (value instanceof Set) {
+          writePath(item, path, new Set([...(current || []), ...value]));
+        } else {
+          writePath(item, path, (current || 0) + value);
+        }
+      } else {
+        const current = readPath(item, path);
+        if (current instanceof Set) {
+          values[action[1]].forEach(value => current.delete(value));
+        }
+      }
+    }
+  }
+  return item;
+};
+
+// Tables
+
+// Create an in-memory DynamoDB and route every command sent through
+// DocumentClient to it. keySchemas maps a part of each table's name to its
+// key attributes, e.g. { products: ['id'], 'stock-ledger': ['productId', 'seq'] }.
+// Tables that are not listed accept writes and read back empty.
+const createDynamoDB = (DocumentClient, keySchemas) => {
+  // Longest first, so coupon-redemptions is not taken for coupons
+  const parts = Object.keys(keySchemas).sort((a, b) => b.length - a.length);
+  const stores = Object.fromEntries(parts.map(part => [part, new Map()]));
+
+  const tableFor = (tableName) => parts.find(part => tableName.includes(part));
+  const keyOf = (part, key) => JSON.stringify(keySchemas[part].map(attribute => key[attribute]));
+
+  // The table as a map keyed by its key attributes. A table with one key
+  // attribute can be read with that value alone.
+  const table = (part) => {
+    const store = stores[part];
+    const toKey = (key) => (typeof key === 'object' ? key : { [keySchemas[part][0]]: key });
+    return {
+      get: (key) => store.get(keyOf(part, toKey(key))),
+      put: (item) => store.set(keyOf(part, item), structuredClone(item)),
+      delete: (key) => store.delete(keyOf(part, toKey(key))),
+      has: (key) => store.has(keyOf(part, toKey(key))),
+      items: () => [...store.values()],
+      clear: () => store.clear(),
+      get size() {
+        return store.size;
+      }
+    };
+  };
+
+  const check = (part, key, condition) => {
+    if (!condition.ConditionExpression) {
+      return true;
+    }
+    const item = part ? stores[part].get(keyOf(part, key)) : undefined;
+    return evaluateCondition(condition.ConditionExpression, item || {}, condition.ExpressionAttributeNames, condition.ExpressionAttributeValues);
+  };
+
+  const put = (input) => {
+    const part = tableFor(input.TableName);
+    if (!check(part, input.Item, input)) {
+      throw conditionFailed();
+    }
+    if (part) {
+      stores[part].set(keyOf(part, input.Item), structuredClone(input.Item));
+    }
+    return {};
+  };
+
+  const update = (input) => {
+    const part = tableFor(input.TableName);
+    if (!check(part, input.Key, input)) {
+      throw conditionFailed();
+    }
+    if (!part) {
+      return { Attributes: {} };
+    }
+    const key = keyOf(part, input.Key);
+    const item = applyUpdate(input.UpdateExpression, structuredClone(stores[part].get(key) || input.Key),
+      input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+    stores[part].set(key, item);
+    return { Attributes: structuredClone(item) };
+  };
+
+  const remove = (input) => {
+    const part = tableFor(input.TableName);
+    if (!check(part, input.Key, input)) {
+      throw conditionFailed();
+    }
+    if (part) {
+      stores[part].delete(keyOf(part, input.Key));
+    }
+    return {};
+  };
+
+  const find = (input, expression) => {
+    const part = tableFor(input.TableName);
+    const items = part ? [...stores[part].values()] : [];
+    let matching = items.filter(item => [expression, input.FilterExpression].every(filter =>
+      !filter || evaluateCondition(filter, item, input.ExpressionAttributeNames, input.ExpressionAttributeValues)));
+    // A query returns its partition in sort key order
+    const sortKey = expression && part && keySchemas[part][1];
+    if (sortKey) {
+      matching.sort((a, b) => (a[sortKey] < b[sortKey] ? -1 : a[sortKey] > b[sortKey] ? 1 : 0));
+      if (input.ScanIndexForward === false) {
+        matching.reverse();
+      }
+      if (input.Limit) {
+        matching = matching.slice(0, input.Limit);
+      }
+    }
+    return { Items: matching.map(item => structuredClone(item)), Count: matching.length };
+  };
+
+  const handlers = {
+    GetCommand: (input) => {
+      const part = tableFor(input.TableName);
+      const item = part && stores[part].get(keyOf(part, input.Key));
+      return { Item: item && structuredClone(item) };
+    },
+    PutCommand: put,
+    UpdateCommand: update,
+    DeleteCommand: remove,
+    ScanCommand: (input) => find(input),
+    QueryCommand: (input) => find(input, input.KeyConditionExpression),
+    BatchGetCommand: (input) => ({
+      Responses: Object.fromEntries(Object.entries(input.RequestItems).map(([tableName, { Keys }]) =>
+        [tableName, Keys.map(key => handlers.GetCommand({ TableName: tableName, Key: key }).Item).filter(Boolean)]))
+    }),
+    BatchWriteCommand: (input) => {
+      for (const [tableName, requests] of Object.entries(input.RequestItems)) {
+        for (const request of requests) {
+          if (request.PutRequest) {
+            put({ TableName: tableName, Item: request.PutRequest.Item });
+          } else {
+            remove({ TableName: tableName, Key: request.DeleteRequest.Key });
+          }
+        }
+      }
+      return {};
+    },
+    // All conditions are checked before anything is written
+    TransactWriteCommand: (input) => {
+      const actions = input.TransactItems.map(entry => {
+        const [type, action] = Object.entries(entry)[0];
+        return { type, action, part: tableFor(action.TableName) };
+      });
+      const failed = actions.map(({ action, part }) => !check(part, action.Key || action.Item, action));
+      if (failed.some(Boolean)) {
+        throw Object.assign(new Error('Transaction cancelled'), {
+          name: 'TransactionCanceledException',
+          CancellationReasons: failed.map(fail => ({ Code: fail ? 'ConditionalCheckFailed' : 'None' }))
+        });
+      }
+      for (const { type, action } of actions) {
+        if (type === 'Put') {
+          put({ ...action, ConditionExpression: undefined });
+        } else if (type === 'Update') {
+          update({ ...action, ConditionExpression: undefined });
+        } else if (type === 'Delete') {
+          remove({ ...action, ConditionExpression: undefined });
+        }
+      }
+      return {};
+    }
+  };
+
+  const db = {
+    tables: Object.fromEntries(parts.map(part => [part, table(part)])),
+    // Commands sent, as { name, input }
+    commands: [],
+    // Set to fail a command: (name, input) => an error to throw, or nothing
+    failWith: null,
+    reset() {
+      Object.values(stores).forEach(store => store.clear());
+      db.commands.length = 0;
+      db.failWith = null;
+    }
+  };
+
+  // Each command is applied in one step after a tick, so concurrent requests
+  // interleave between commands the way they would against DynamoDB
+  DocumentClient.prototype.send = async function (command) {
+    await tick();
+    const name = command.constructor.name;
+    const input = command.input;
+    db.commands.push({ name, input });
+    const error = db.failWith && db.failWith(name, input);
+    if (error) {
+      throw error;
+    }
+    return handlers[name] ? handlers[name](input) : {};
+  };
+
+  return db;
+};
+
+// Other services
+
+// Replace axios.get, post, put, patch and delete. Calls are recorded as
+// { method, url, body, config } and succeed with an empty body, unless a
+// handler is set for the method and URL with respond().
+const stubHttp = (axios) => {
+  const handlers = new Map();
+  const http = {
+    calls: [],
+    respond(method, url, handler) {
+      handlers.set(`${method} ${url}`, handler);
+    },
+    reset() {
+      http.calls.length = 0;
+      handlers.clear();
+    }
+  };
+  for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+    const hasBody = ['post', 'put', 'patch'].includes(method);
+    axios[method] = async (url, ...args) => {
+      const body = hasBody ? args[0] : undefined;
+      const config = (hasBody ? args[1] : args[0]) || {};
+      http.calls.push({ method, url, body, config });
+      await tick();
+      const handler = handlers.get(`${method} ${url}`);
+      return handler ? handler({ body, config }) : { status: 200, data: {}, headers: {} };
+    };
+  }
+  return http;
+};
+
+// An axios-style error for a service that answered with status
+const httpError = (status, data, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data, headers } });
+
+// The service
+
+// Load the service (set its environment first) and wait until it answers on
+// /health and has finished starting up. Resolves to a function that sends it
+// JSON requests and resolves to { status, headers, body }.
+const startService = async (load, port) => {
+  const baseUrl = `http://localhost:${port}`;
+  load();
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if ((await fetch(`${baseUrl}/health`)).ok) {
+        break;
+      }
+    } catch (error) {
+      if (attempt > 50) {
+        throw error;
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  // Start-up work such as seeding runs after listen
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  return async (method, path, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+};
+
+module.exports = {
+  createDynamoDB,
+  stubHttp,
+  httpError,
+  startService,
+  conditionFailed,
+  evaluateCondition,
+  applyUpdate
+};